@@ -17,30 +17,235 @@
  * under the License.
  */
 
+import { Readable } from 'stream'
 import { BaseConnection, errors } from '@elastic/elasticsearch'
 
 declare class ClientMock {
   static errors: typeof errors
-  constructor()
-  add(pattern: MockPattern, resolver: ResolverFn): ClientMock
+  static match: MatchHelpers
+  static response(envelope: MockResponseEnvelope): MockResponse
+  static MockNotFoundError: typeof MockNotFoundError
+  static memoryStore(options?: MemoryStoreOptions): MemoryStore
+  static bulk(options?: BulkOptions): ResolverFn
+  static paginate(hits: Record<string, any>[], options?: PaginateOptions): MockBackend
+  constructor(opts?: MockerOptions)
+  add(pattern: MockPattern, resolver: ResolverFn, options?: MockOptions): ClientMock
+  once(pattern: MockPattern, resolver: ResolverFn, options?: Omit<MockOptions, 'times'>): ClientMock
+  addSequence(pattern: MockPattern, responses: ResolverResult[], options?: SequenceOptions): ClientMock
+  load(fixtures: string | FixtureEntry[]): ClientMock
+  use(backend: MockBackend): ClientMock
   get(pattern: MockPattern): ResolverFn | null
   clear(pattern: Pick<MockPattern, 'method' | 'path'>): ClientMock
   clearAll(): ClientMock
+  calls(pattern?: MockPattern, options?: Pick<MockOptions, 'match'>): MockCall[]
+  lastCall(): MockCall | null
+  resetHistory(): ClientMock
+  pendingMocks(): MockPattern[]
+  isDone(): boolean
+  assertDone(): void
+  replay(fixture: string): ClientMock
   getConnection(): typeof BaseConnection
 }
 
-export declare type ResolverFn = (params: MockPattern) => ResolverResult
+export declare type ResolverFn = (params: MockPattern) => ResolverResult | Promise<ResolverResult>
 
-export declare type ResolverResult =
+export declare type ResponseBody =
   | Record<string, any>
   | string
+  | Buffer
+  | Readable
+  | AsyncIterable<string | Buffer>
+
+export declare type ResolverResult =
+  | ResponseBody
+  | MockResponse
   | InstanceType<typeof errors.ElasticsearchClientError>
 
+export interface MockResponseEnvelope {
+  statusCode?: number
+  headers?: Record<string, string | string[]>
+  body?: ResponseBody
+}
+
+export interface MockResponse {
+  statusCode: number
+  headers: Record<string, string | string[]>
+  body: ResponseBody
+}
+
+export declare function response(envelope: MockResponseEnvelope): MockResponse
+
 export interface MockPattern {
   method: string | string[]
   path: string | string[]
-  querystring?: Record<string, string>
-  body?: Record<string, any> | Record<string, any>[]
+  querystring?: Record<string, string | Matcher | Predicate<string>> | Predicate<Record<string, string>>
+  body?: Record<string, any> | Record<string, any>[] | Matcher | Predicate
+  headers?: Record<string, string | Matcher | Predicate<string>> | Matcher | Predicate<Record<string, string>>
+}
+
+export declare type Predicate<T = any> = (value: T) => boolean
+
+export interface Matcher {
+  readonly description: string
+  test(value: any, partial: boolean): boolean
+}
+
+export interface MatchHelpers {
+  any(type: Function): Matcher
+  anything(): Matcher
+  regex(re: RegExp): Matcher
+  arrayContaining(values: any[]): Matcher
+  objectContaining(object: Record<string, any>): Matcher
+}
+
+export declare const match: MatchHelpers
+
+export declare type MatchMode = 'exact' | 'partial'
+
+export interface MockerOptions {
+  match?: MatchMode
+  onUnmatched?: 'notFound' | 'throw' | ResolverFn | { passthrough: string }
+  record?: RecordOptions
+}
+
+export interface FixtureEnvelope extends MockResponseEnvelope {
+  bodyEncoding?: 'base64'
+}
+
+export interface FixtureError extends FixtureEnvelope {
+  name?: string
+  message?: string
+}
+
+export interface FixtureResponse {
+  response?: FixtureEnvelope
+  error?: FixtureError
+}
+
+export interface FixtureEntry extends FixtureResponse, MockOptions {
+  pattern: MockPattern
+  sequence?: FixtureResponse[]
+  onExhausted?: SequenceOptions['onExhausted']
+}
+
+export interface BackendRoute {
+  method: string | string[]
+  path: string | string[]
+  handler: (params: MockPattern) => MockResponseEnvelope | null
+}
+
+export interface MockBackend {
+  routes(): BackendRoute[]
+}
+
+export interface StoredDocument {
+  _id: string
+  _source: Record<string, any>
+}
+
+export interface MemoryStore extends MockBackend {
+  documents(index: string): StoredDocument[]
+  clear(): MemoryStore
+}
+
+export interface MemoryStoreOptions {
+  refresh?: 'immediate' | 'manual' | number
+  now?: () => number
+}
+
+export declare function memoryStore(options?: MemoryStoreOptions): MemoryStore
+
+export interface BulkOperation {
+  action: 'index' | 'create' | 'update' | 'delete'
+  index: string
+  id: string
+  document?: Record<string, any>
+}
+
+export interface BulkFailure {
+  error: 'version_conflict' | 'rejected' | 'mapper_parsing' | { status: number, type: string, reason: string }
+  when?: (operation: BulkOperation) => boolean
+  rate?: number
+  times?: number
+}
+
+export interface BulkOptions {
+  store?: MemoryStore
+  failures?: BulkFailure[]
+  random?: () => number
+}
+
+export declare function bulk(options?: BulkOptions): ResolverFn
+
+export interface PaginateOptions {
+  now?: () => number
+}
+
+export declare function paginate(hits: Record<string, any>[], options?: PaginateOptions): MockBackend
+
+export interface RecordOptions {
+  node: string
+  fixture: string
+}
+
+export interface Recording {
+  pattern: MockPattern
+  response: MockResponseEnvelope
+}
+
+export interface MockCandidate {
+  pattern: MockPattern
+  mismatches: Array<'method' | 'path' | 'body' | 'querystring' | 'headers' | 'times'>
+  diff: {
+    body?: MockDiffChange[]
+    querystring?: MockDiffChange[]
+    headers?: MockDiffChange[]
+  }
+}
+
+export interface MockDiffChange {
+  op: 'changed' | 'missing' | 'unexpected'
+  path: string
+  expected?: any
+  actual?: any
+}
+
+export declare class MockNotFoundError extends errors.ElasticsearchClientError {
+  name: 'MockNotFoundError'
+  params: MockPattern
+  candidates: MockCandidate[]
+  constructor(params: MockPattern, candidates: MockCandidate[])
+}
+
+export declare type MockDelay =
+  | number
+  | [number, number]
+  | ((params: MockPattern) => number)
+
+export interface MockOptions {
+  times?: number
+  delay?: MockDelay
+  match?: MatchMode
+  chunkSize?: number
+  chunkDelay?: number
+}
+
+export interface SequenceOptions {
+  onExhausted?: 'repeatLast' | 'error' | 'notFound'
+  delay?: MockDelay
+  match?: MatchMode
+  chunkSize?: number
+  chunkDelay?: number
+}
+
+export interface MockCall {
+  method: string
+  path: string
+  querystring: Record<string, string | string[]>
+  body: Record<string, any> | Record<string, any>[] | null
+  headers: Record<string, string>
+  pattern: MockPattern | 'unmatched'
+  statusCode: number | null
 }
 
 export { errors }
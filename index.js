@@ -19,33 +19,107 @@
 
 'use strict'
 
-const { gunzip, createGunzip } = require('zlib')
+const { AssertionError } = require('assert')
+const { gzip, gunzip, createGzip, createGunzip } = require('zlib')
+const { readFileSync, writeFileSync, mkdirSync } = require('fs')
+const { dirname } = require('path')
+const http = require('http')
+const https = require('https')
 const querystring = require('querystring')
+const { Readable, pipeline } = require('stream')
+const { setTimeout: sleep } = require('timers/promises')
 const { BaseConnection, errors } = require('@elastic/elasticsearch')
 const Router = require('find-my-way')
 const equal = require('fast-deep-equal')
+const { MemoryStore, kRawPath, rawPath } = require('./lib/memory-store')
+const { bulkHandler, presets } = require('./lib/bulk')
+const { errorResponse } = require('./lib/errors')
+const { Pagination } = require('./lib/pagination')
 const kRouter = Symbol('elasticsearch-mock-router')
+const kHistory = Symbol('elasticsearch-mock-history')
+const kMocks = Symbol('elasticsearch-mock-mocks')
+const kOptions = Symbol('elasticsearch-mock-options')
+const kLookup = Symbol('elasticsearch-mock-lookup')
+const kCandidates = Symbol('elasticsearch-mock-candidates')
+const kUnmatched = Symbol('elasticsearch-mock-unmatched')
+const kRecord = Symbol('elasticsearch-mock-record')
+const kRecordings = Symbol('elasticsearch-mock-recordings')
+const kBuiltin = Symbol('elasticsearch-mock-builtin')
+const kBuiltins = Symbol('elasticsearch-mock-builtins')
+const kBuiltinRouter = Symbol('elasticsearch-mock-builtin-router')
+const kNotHandled = Symbol('elasticsearch-mock-not-handled')
+const kMsearch = Symbol('elasticsearch-mock-msearch')
+const kSubSearch = Symbol('elasticsearch-mock-sub-search')
 
 /* istanbul ignore next */
 const noop = () => {}
+const matchModes = ['exact', 'partial']
+// the headers that describe the connection rather than the response,
+// the mock connection computes them again while replaying
+const transportHeaders = ['connection', 'content-length', 'date', 'keep-alive', 'transfer-encoding']
+const fixtureKeys = ['pattern', 'response', 'error', 'sequence', 'times', 'delay', 'match', 'onExhausted']
+const envelopeKeys = ['statusCode', 'headers', 'body', 'bodyEncoding']
+const errorKeys = ['name', 'message']
+// the credentials of a request are never echoed back by the diagnostics
+// of an unmatched request, which end up in the error messages
+const sensitiveHeaders = ['authorization', 'cookie']
 const {
   ConfigurationError,
   ConnectionError,
   ResponseError,
   RequestAbortedError,
+  TimeoutError,
   ElasticsearchClientError
 } = errors
 
 class Mocker {
-  constructor () {
+  constructor (opts = {}) {
+    if (opts.match !== undefined && !matchModes.includes(opts.match)) {
+      throw new ConfigurationError(`Unknown match mode: ${opts.match}`)
+    }
+    if (opts.onUnmatched !== undefined) validateOnUnmatched(opts.onUnmatched)
+    if (opts.record !== undefined) validateRecord(opts.record)
+    if (opts.record !== undefined && opts.onUnmatched !== undefined) {
+      throw new ConfigurationError('The record and onUnmatched options cannot be used together')
+    }
+
+    this[kOptions] = {
+      match: opts.match || 'exact',
+      onUnmatched: opts.onUnmatched || 'notFound',
+      record: opts.record || null
+    }
     this[kRouter] = Router({ ignoreTrailingSlash: true })
+    this[kBuiltinRouter] = Router({ ignoreTrailingSlash: true })
+    this[kHistory] = []
+    this[kMocks] = []
+    this[kRecordings] = []
+    this[kBuiltins]()
+  }
+
+  // the APIs that are implemented on top of the other mocks
+  [kBuiltins] () {
+    this[kBuiltin](['GET', 'POST'], ['/_msearch', '/:index/_msearch'], params => this[kMsearch](params))
   }
 
-  add (pattern, fn) {
+  // the builtin routes have their own router, so they never share the route of a mock
+  // and they are only used when no mock matches the request, the first registration
+  // of a method and path wins and they are never reported as pending
+  [kBuiltin] (method, path, fn) {
+    for (const m of [].concat(method)) {
+      for (const p of [].concat(path)) {
+        if (typeof m !== 'string') throw new ConfigurationError('The method is not defined')
+        if (typeof p !== 'string') throw new ConfigurationError('The path is not defined')
+        if (this[kBuiltinRouter].hasRoute(m, p)) continue
+        this[kBuiltinRouter].on(m, p, noop, { pattern: { method: m, path: p }, fn, hits: 0 })
+      }
+    }
+  }
+
+  add (pattern, fn, options = {}) {
     for (const key of ['method', 'path']) {
       if (Array.isArray(pattern[key])) {
         for (const value of pattern[key]) {
-          this.add({ ...pattern, [key]: value }, fn)
+          this.add({ ...pattern, [key]: value }, fn, options)
         }
         return this
       }
@@ -54,26 +128,152 @@ class Mocker {
     if (typeof pattern.method !== 'string') throw new ConfigurationError('The method is not defined')
     if (typeof pattern.path !== 'string') throw new ConfigurationError('The path is not defined')
     if (typeof fn !== 'function') throw new ConfigurationError('The resolver function is not defined')
+    if (options.times !== undefined && !(Number.isInteger(options.times) && options.times > 0)) {
+      throw new ConfigurationError('The times option must be a positive integer')
+    }
+    if (options.delay !== undefined && !isValidDelay(options.delay)) {
+      throw new ConfigurationError('The delay option must be a number, a [min, max] range or a function')
+    }
+    if (options.match !== undefined && !matchModes.includes(options.match)) {
+      throw new ConfigurationError(`Unknown match mode: ${options.match}`)
+    }
+    if (options.chunkSize !== undefined && !(Number.isInteger(options.chunkSize) && options.chunkSize > 0)) {
+      throw new ConfigurationError('The chunkSize option must be a positive integer')
+    }
+    if (options.chunkDelay !== undefined && !(typeof options.chunkDelay === 'number' && options.chunkDelay >= 0)) {
+      throw new ConfigurationError('The chunkDelay option must be a non negative number')
+    }
 
     // workaround since find-my-way no longer decodes URI escaped chars
     // https://github.com/delvedor/find-my-way/pull/282
     // https://github.com/delvedor/find-my-way/pull/286
     if (pattern.path.indexOf('%') > -1) pattern.path = decodeURIComponent(pattern.path)
+    if (pattern.headers !== undefined) pattern = { ...pattern, headers: lowerCaseHeaders(pattern.headers) }
 
+    const mock = {
+      pattern: { ...pattern },
+      fn,
+      hits: 0,
+      times: options.times,
+      delay: options.delay,
+      chunkSize: options.chunkSize,
+      chunkDelay: options.chunkDelay,
+      match: options.match || this[kOptions].match
+    }
+    this[kMocks].push(mock)
     const handler = this[kRouter].find(pattern.method, pattern.path)
     if (handler) {
-      handler.store.push({ ...pattern, fn })
+      handler.store.push(mock)
       // order the patterns in descending order, so we will match
-      // more precise patterns first and the loose ones
-      handler.store.sort((a, b) => Object.keys(b).length - Object.keys(a).length)
+      // more precise patterns first and the loose ones,
+      // with the same precision the consumable mocks go first
+      handler.store.sort((a, b) => {
+        return Object.keys(b.pattern).length - Object.keys(a.pattern).length ||
+          precision(b) - precision(a) ||
+          (a.times === undefined) - (b.times === undefined)
+      })
     } else {
-      this[kRouter].on(pattern.method, pattern.path, noop, [{ ...pattern, fn }])
+      this[kRouter].on(pattern.method, pattern.path, noop, [mock])
+    }
+
+    return this
+  }
+
+  once (pattern, fn, options = {}) {
+    return this.add(pattern, fn, { ...options, times: 1 })
+  }
+
+  addSequence (pattern, responses, options = {}) {
+    for (const key of ['method', 'path']) {
+      if (Array.isArray(pattern[key])) {
+        for (const value of pattern[key]) {
+          this.addSequence({ ...pattern, [key]: value }, responses, options)
+        }
+        return this
+      }
     }
 
+    if (!Array.isArray(responses) || responses.length === 0) {
+      throw new ConfigurationError('The responses sequence must be a non empty array')
+    }
+    const { onExhausted = 'repeatLast', ...mockOptions } = options
+    if (!['repeatLast', 'error', 'notFound'].includes(onExhausted)) {
+      throw new ConfigurationError(`Unknown onExhausted value: ${onExhausted}`)
+    }
+
+    // a sequence that is not found once exhausted is a consumable mock,
+    // so the next matching candidate (or the unmatched path) takes over
+    if (onExhausted === 'notFound') {
+      let index = 0
+      return this.add(pattern, () => responses[index++], { ...mockOptions, times: responses.length })
+    }
+
+    let index = 0
+    return this.add(pattern, () => {
+      if (index < responses.length) return responses[index++]
+      if (onExhausted === 'repeatLast') return responses[responses.length - 1]
+      return new ConfigurationError(`The responses sequence for ${pattern.method} ${pattern.path} has been exhausted`)
+    }, mockOptions)
+  }
+
+  // registers the routes of a stateful backend, such as the memory store, as builtin
+  // routes, a handler that returns null leaves the request to the unmatched handling
+  use (backend) {
+    if (backend === null || typeof backend !== 'object' || typeof backend.routes !== 'function') {
+      throw new ConfigurationError('The backend must have a routes function')
+    }
+    for (const { method, path, handler } of backend.routes()) {
+      this[kBuiltin](method, path, params => {
+        const envelope = handler(params)
+        return envelope === null ? kNotHandled : response(envelope)
+      })
+    }
+    return this
+  }
+
+  load (fixtures) {
+    const entries = typeof fixtures === 'string' ? readFixture(fixtures) : fixtures
+    if (!Array.isArray(entries)) {
+      throw new ConfigurationError('The fixtures must be an array of mock entries')
+    }
+
+    entries.forEach((entry, index) => {
+      try {
+        if (entry === null || typeof entry !== 'object') {
+          throw new ConfigurationError('The entry must be an object')
+        }
+        const unknown = Object.keys(entry).filter(key => !fixtureKeys.includes(key))
+        if (unknown.length > 0) {
+          throw new ConfigurationError(`Unknown keys: ${unknown.join(', ')}`)
+        }
+        const { pattern, response, error, sequence, ...options } = entry
+        if (pattern === null || typeof pattern !== 'object') {
+          throw new ConfigurationError('The pattern is not defined')
+        }
+
+        if (sequence === undefined) {
+          const result = fromFixture(entry)
+          this.add(pattern, () => result, options)
+        } else if (response !== undefined || error !== undefined) {
+          throw new ConfigurationError('A sequence cannot have a response or an error')
+        } else if (!Array.isArray(sequence)) {
+          throw new ConfigurationError('The responses sequence must be a non empty array')
+        } else {
+          this.addSequence(pattern, sequence.map(fromFixture), options)
+        }
+      } catch (err) {
+        throw new ConfigurationError(`Invalid fixture entry #${index}: ${err.message}`)
+      }
+    })
     return this
   }
 
   get (params) {
+    const mock = this[kLookup](params)
+    return mock === null ? null : mock.fn
+  }
+
+  [kLookup] (params) {
     if (typeof params.method !== 'string') throw new ConfigurationError('The method is not defined')
     if (typeof params.path !== 'string') throw new ConfigurationError('The path is not defined')
 
@@ -83,25 +283,187 @@ class Mocker {
     if (params.path.indexOf('%') > -1) params.path = decodeURIComponent(params.path)
 
     const handler = this[kRouter].find(params.method, params.path)
-    if (!handler) return null
-    for (const { body, querystring, fn } of handler.store) {
-      if (body !== undefined && querystring !== undefined) {
-        if (equal(params.body, body) && equal(params.querystring, querystring)) {
-          return fn
-        }
-      } else if (body !== undefined && querystring === undefined) {
-        if (equal(params.body, body)) {
-          return fn
+    if (handler) {
+      for (const mock of handler.store) {
+        if (mock.times !== undefined && mock.hits >= mock.times) continue
+        if (matchPattern(mock.pattern, params, mock.match)) {
+          return mock
         }
-      } else if (body === undefined && querystring !== undefined) {
-        if (equal(params.querystring, querystring)) {
-          return fn
+      }
+    }
+    // the builtin routes see the path as the client encoded it,
+    // where an id with a slash is still a single segment
+    const builtin = this[kBuiltinRouter].find(params.method, rawPath(params))
+    return builtin === null ? null : builtin.store
+  }
+
+  // lists the registered mocks that almost matched the given request,
+  // such as the same route with a different body or querystring,
+  // the same path with a different method or a slightly different path
+  [kCandidates] (params) {
+    const candidates = []
+    for (const mock of this[kMocks]) {
+      const { pattern } = mock
+      const partial = mock.match === 'partial'
+      const mismatches = []
+
+      if (pattern.method !== params.method) mismatches.push('method')
+      if (!routeMatches(this[kRouter], mock, params.path)) {
+        const path = loosePath(params.path)
+        if (path === params.path || !routeMatches(this[kRouter], mock, path)) continue
+        mismatches.push('path')
+      }
+      // a different method and path is not a near miss
+      if (mismatches.length === 2) continue
+
+      const diff = {}
+      for (const key of ['body', 'querystring', 'headers']) {
+        if (pattern[key] === undefined) continue
+        const changes = diffValues(params[key], pattern[key], key === 'headers' || partial)
+        if (changes.length > 0) {
+          mismatches.push(key)
+          diff[key] = key === 'headers' ? changes.map(redactChange) : changes
         }
-      } else {
-        return fn
       }
+      if (mock.times !== undefined && mock.hits >= mock.times) mismatches.push('times')
+
+      const plain = toPlain(pattern)
+      if (pattern.headers !== undefined) plain.headers = redactHeaders(plain.headers)
+      candidates.push({ pattern: plain, mismatches, diff })
+    }
+
+    const size = candidate => Object.values(candidate.diff).reduce((size, changes) => size + changes.length, 0)
+    return candidates
+      .sort((a, b) => a.mismatches.length - b.mismatches.length || size(a) - size(b))
+      .slice(0, 5)
+  }
+
+  [kUnmatched] (params, signal) {
+    const { onUnmatched, record } = this[kOptions]
+    if (record !== null) {
+      return this[kRecord](params, signal)
+    } else if (typeof onUnmatched === 'function') {
+      return runResolver(onUnmatched, params)
+    } else if (onUnmatched === 'throw') {
+      return Promise.reject(new MockNotFoundError(redactParams(params), this[kCandidates](params)))
+    } else if (onUnmatched === 'notFound') {
+      return Promise.resolve({
+        statusCode: 404,
+        payload: { error: 'Mock not found', params: redactParams(params), candidates: this[kCandidates](params) }
+      })
+    }
+    return forward(onUnmatched.passthrough, params, signal)
+  }
+
+  // every search of a multi search runs like an individual search request, a search
+  // without a mock is an item error, unless the unmatched requests are handled
+  // by a fallback, a real node or the recorder, which get the whole request instead
+  [kMsearch] (params) {
+    const lines = Array.isArray(params.body) ? params.body : []
+    if (lines.length === 0) {
+      return response(errorResponse(400, 'action_request_validation_exception', 'Validation Failed: 1: no requests added;'))
+    }
+    if (lines.length % 2 !== 0) {
+      return response(errorResponse(400, 'illegal_argument_exception', 'The msearch request must be terminated by a newline [\\n]'))
+    }
+
+    const searches = []
+    for (let line = 0; line < lines.length; line += 2) {
+      searches.push(subSearchParams(params, lines[line], lines[line + 1]))
+    }
+    const { onUnmatched, record } = this[kOptions]
+    const notFound = record === null && (onUnmatched === 'notFound' || onUnmatched === 'throw')
+    if (!notFound && searches.some(search => this[kLookup](search) === null)) {
+      return this[kUnmatched](params).then(({ statusCode, payload, headers = {} }) => {
+        const responseHeaders = {}
+        for (const key of Object.keys(headers)) {
+          if (!transportHeaders.includes(key)) responseHeaders[key] = headers[key]
+        }
+        return response({ statusCode, body: payload, headers: responseHeaders })
+      })
+    }
+    return Promise.all(searches.map(search => this[kSubSearch](search)))
+      .then(responses => ({ took: 1, responses }))
+  }
+
+  [kSubSearch] (params) {
+    const mock = this[kLookup](params)
+    if (mock === null) {
+      return Promise.resolve(missingSearch(params, this[kCandidates](params)))
+    }
+
+    mock.hits += 1
+    return new Promise(resolve => setTimeout(resolve, getDelay(mock.delay, params)))
+      .then(() => runResolver(mock.fn, params))
+      .then(({ statusCode, payload }) => {
+        if (payload === kNotHandled) return missingSearch(params, this[kCandidates](params))
+        if (statusCode < 400) return { ...payload, status: statusCode }
+        const error = payload !== null && typeof payload === 'object' && payload.error !== undefined ? payload.error : payload
+        return { error, status: statusCode }
+      })
+  }
+
+  // the whole fixture is written again after every response,
+  // so an interrupted test run still leaves a valid file behind
+  [kRecord] (params, signal) {
+    const { node, fixture } = this[kOptions].record
+    return forward(node, params, signal).then(result => {
+      this[kRecordings].push(toRecording(params, result))
+      mkdirSync(dirname(fixture), { recursive: true })
+      writeFileSync(fixture, JSON.stringify(this[kRecordings], null, 2) + '\n')
+      return result
+    })
+  }
+
+  replay (fixture) {
+    const recordings = JSON.parse(readFileSync(fixture, 'utf8'))
+    if (!Array.isArray(recordings)) {
+      throw new ConfigurationError(`The fixture ${fixture} must contain an array of recordings`)
     }
-    return null
+
+    // the same request recorded more than once
+    // replays its responses in the recorded order
+    const sequences = new Map()
+    for (const { pattern, response: envelope } of recordings) {
+      const key = JSON.stringify(pattern)
+      if (!sequences.has(key)) sequences.set(key, { pattern, responses: [] })
+      sequences.get(key).responses.push(response(decodeBody(envelope)))
+    }
+    for (const { pattern, responses } of sequences.values()) {
+      this.addSequence(pattern, responses, { match: 'exact' })
+    }
+    return this
+  }
+
+  calls (pattern, options = {}) {
+    if (pattern == null) return this[kHistory].slice()
+
+    if (pattern.method == null) throw new ConfigurationError('The method is not defined')
+    if (pattern.path == null) throw new ConfigurationError('The path is not defined')
+
+    // a throwaway router gives us the very same method
+    // and path matching that is used for the registered mocks
+    const router = Router({ ignoreTrailingSlash: true })
+    for (let path of [].concat(pattern.path)) {
+      if (path.indexOf('%') > -1) path = decodeURIComponent(path)
+      router.on(pattern.method, path, noop)
+    }
+
+    if (pattern.headers !== undefined) pattern = { ...pattern, headers: lowerCaseHeaders(pattern.headers) }
+    const mode = options.match || this[kOptions].match
+    return this[kHistory].filter(call => {
+      return router.find(call.method, call.path) !== null && matchPattern(pattern, call, mode)
+    })
+  }
+
+  lastCall () {
+    const history = this[kHistory]
+    return history.length > 0 ? history[history.length - 1] : null
+  }
+
+  resetHistory () {
+    this[kHistory] = []
+    return this
   }
 
   clear (pattern) {
@@ -117,15 +479,53 @@ class Mocker {
     if (typeof pattern.method !== 'string') throw new ConfigurationError('The method is not defined')
     if (typeof pattern.path !== 'string') throw new ConfigurationError('The path is not defined')
 
-    this[kRouter].off(pattern.method, pattern.path)
+    // workaround since find-my-way no longer decodes URI escaped chars
+    // https://github.com/delvedor/find-my-way/pull/282
+    // https://github.com/delvedor/find-my-way/pull/286
+    const path = pattern.path.indexOf('%') > -1 ? decodeURIComponent(pattern.path) : pattern.path
+
+    // a literal path may share the store of a parametric route,
+    // so only its own mocks are removed and the route goes with the last one
+    const handler = this[kRouter].find(pattern.method, path)
+    if (handler === null) return this
+    const removed = handler.store.filter(mock => mock.pattern.method === pattern.method && mock.pattern.path === path)
+    for (const mock of removed) {
+      handler.store.splice(handler.store.indexOf(mock), 1)
+    }
+    if (handler.store.length === 0) {
+      const route = this[kRouter].routes.find(route => route.store === handler.store)
+      this[kRouter].off(route.method, route.path)
+    }
+    this[kMocks] = this[kMocks].filter(mock => !removed.includes(mock))
     return this
   }
 
+  // the builtin routes and the backends are not mocks, so they are kept
   clearAll () {
     this[kRouter].reset()
+    this[kMocks] = []
     return this
   }
 
+  pendingMocks () {
+    return this[kMocks]
+      .filter(mock => mock.hits === 0)
+      .map(mock => ({ ...mock.pattern }))
+  }
+
+  isDone () {
+    return this.pendingMocks().length === 0
+  }
+
+  assertDone () {
+    const pending = this.pendingMocks()
+    if (pending.length > 0) {
+      throw new AssertionError({
+        message: `The following mocks have never been used:\n${pending.map(formatPattern).join('\n')}`
+      })
+    }
+  }
+
   getConnection () {
     return buildConnectionClass(this)
   }
@@ -134,68 +534,100 @@ class Mocker {
 function buildConnectionClass (mocker) {
   class MockConnection extends BaseConnection {
     request (params, options) {
-      const abortListener = () => {
-        aborted = true
-      }
-      let aborted = false
-      if (options.signal != null) {
-        options.signal.addEventListener('abort', abortListener, { once: true })
-      }
+      const { signal } = options
 
       return new Promise((resolve, reject) => {
+        let done = false
+        let delayTimer = null
+        let timeoutTimer = null
+        // cancels the work still in progress, such as a forwarded request
+        const controller = new AbortController()
+
+        const abortListener = () => finish(new RequestAbortedError())
+        if (signal != null) {
+          signal.addEventListener('abort', abortListener, { once: true })
+        }
+        if (options.timeout != null) {
+          timeoutTimer = setTimeout(() => finish(new TimeoutError('Request timed out')), options.timeout)
+        }
+
         normalizeParams(params, prepareResponse)
+
         function prepareResponse (error, params) {
+          if (done) return
           /* istanbul ignore next */
-          if (options.signal != null) {
-            if ('removeEventListener' in options.signal) {
-              options.signal.removeEventListener('abort', abortListener)
-            } else {
-              options.signal.removeListener('abort', abortListener)
-            }
+          if (error) {
+            return finish(new ConnectionError(error.message))
           }
-          /* istanbul ignore next */
-          if (aborted) {
-            return reject(new RequestAbortedError())
+
+          const mock = mocker[kLookup](params)
+          const call = {
+            method: params.method,
+            path: params.path,
+            querystring: params.querystring,
+            body: params.body,
+            headers: params.headers,
+            pattern: mock === null ? 'unmatched' : mock.pattern,
+            statusCode: null
           }
-          /* istanbul ignore next */
-          if (error) {
-            return reject(new ConnectionError(error.message))
+          mocker[kHistory].push(call)
+
+          let result
+          if (mock === null) {
+            result = mocker[kUnmatched](params, controller.signal)
+          } else {
+            mock.hits += 1
+            result = new Promise(resolve => resolve(getDelay(mock.delay, params)))
+              .then(wait)
+              .then(() => runResolver(mock.fn, params))
+              .then(result => {
+                if (result.payload !== kNotHandled) return result
+                call.pattern = 'unmatched'
+                return mocker[kUnmatched](params, controller.signal)
+              })
           }
 
-          const response = {}
-          let payload = ''
-          let statusCode = 200
+          result
+            .then(({ statusCode, payload, headers }) => {
+              if (done) return
+              call.statusCode = statusCode
+              return compressResponse(buildResponse(statusCode, payload, headers), params.headers['accept-encoding'])
+                .then(response => deliverBody(response.body, options.asStream === true, mock === null ? {} : mock)
+                  .then(body => finish(null, { ...response, body })))
+            })
+            .catch(err => {
+              finish(isElasticsearchClientError(err)
+                ? err
+                : new ConnectionError(err instanceof Error ? err.message : String(err)))
+            })
+        }
 
-          const resolver = mocker.get(params)
+        function wait (ms) {
+          if (ms === 0) return Promise.resolve()
+          return new Promise(resolve => {
+            delayTimer = setTimeout(resolve, ms)
+          })
+        }
 
-          if (resolver === null) {
-            payload = { error: 'Mock not found', params }
-            statusCode = 404
-          } else {
-            payload = resolver(params)
-            if (isResponseError(payload)) {
-              statusCode = payload.statusCode
-              payload = payload.body
-            } else if (isElasticsearchClientError(payload)) {
-              return reject(payload)
+        function finish (err, response) {
+          if (done) return
+          done = true
+          clearTimeout(delayTimer)
+          clearTimeout(timeoutTimer)
+          controller.abort()
+          if (signal != null) {
+            /* istanbul ignore else */
+            if ('removeEventListener' in signal) {
+              signal.removeEventListener('abort', abortListener)
+            } else {
+              signal.removeListener('abort', abortListener)
             }
           }
-
-          response.body = typeof payload === 'string' ? payload : JSON.stringify(payload)
-          response.statusCode = statusCode
-          response.headers = {
-            'content-type': typeof payload === 'string'
-              ? 'text/plain;utf=8'
-              : 'application/json;utf=8',
-            date: new Date().toISOString(),
-            connection: 'keep-alive',
-            'x-elastic-product': 'Elasticsearch',
-            'content-length': Buffer.byteLength(
-              typeof payload === 'string' ? payload : JSON.stringify(payload)
-            )
+          if (err) {
+            reject(err)
+          } else {
+            resolve(response)
           }
-
-          resolve(response)
         }
       })
     }
@@ -204,6 +636,441 @@ function buildConnectionClass (mocker) {
   return MockConnection
 }
 
+function isValidDelay (delay) {
+  const isMilliseconds = ms => typeof ms === 'number' && ms >= 0
+  if (typeof delay === 'function') return true
+  if (Array.isArray(delay)) {
+    return delay.length === 2 && delay.every(isMilliseconds) && delay[0] <= delay[1]
+  }
+  return isMilliseconds(delay)
+}
+
+function getDelay (delay, params) {
+  if (delay === undefined) return 0
+  if (typeof delay === 'function') return delay(params)
+  if (Array.isArray(delay)) return delay[0] + Math.random() * (delay[1] - delay[0])
+  return delay
+}
+
+// resolvers can be async, both the resolved and rejected values
+// go through the same response and client error handling
+function runResolver (fn, params) {
+  return new Promise(resolve => resolve(fn(params)))
+    .then(toResult, err => {
+      if (isElasticsearchClientError(err)) return toResult(err)
+      throw err
+    })
+}
+
+function toResult (payload) {
+  if (payload instanceof MockResponse) {
+    return { statusCode: payload.statusCode, payload: payload.body, headers: payload.headers }
+  } else if (isResponseError(payload)) {
+    return { statusCode: payload.statusCode, payload: payload.body }
+  } else if (isElasticsearchClientError(payload)) {
+    throw payload
+  }
+  return { statusCode: 200, payload }
+}
+
+// the headers returned by the resolver are merged
+// on top of the ones a real node would send
+function buildResponse (statusCode, payload, headers = {}) {
+  const body = serializePayload(payload)
+  return {
+    body,
+    statusCode,
+    headers: {
+      'content-type': typeof body !== 'string'
+        ? 'application/octet-stream'
+        : typeof payload === 'string' ? 'text/plain;utf=8' : 'application/json;utf=8',
+      date: new Date().toISOString(),
+      connection: 'keep-alive',
+      'x-elastic-product': 'Elasticsearch',
+      ...(isStream(body) ? { 'transfer-encoding': 'chunked' } : { 'content-length': Buffer.byteLength(body) }),
+      ...headers
+    }
+  }
+}
+
+// buffers are sent as they are, while streams (of any stream
+// implementation) and async iterators become a readable stream,
+// the other payloads are serialized
+function serializePayload (payload) {
+  if (typeof payload === 'string' || Buffer.isBuffer(payload)) return payload
+  if (isStream(payload)) return new Readable().wrap(payload)
+  if (payload != null && typeof payload[Symbol.asyncIterator] === 'function') {
+    return Readable.from(payload, { objectMode: false })
+  }
+  return JSON.stringify(payload)
+}
+
+// like Elasticsearch, the body is compressed with gzip when the client accepts it,
+// unless the resolver has set the content encoding of the body itself
+function compressResponse (response, acceptEncoding = '') {
+  if (!/\bgzip\b/.test(acceptEncoding) || response.headers['content-encoding'] !== undefined) {
+    return Promise.resolve(response)
+  }
+  const headers = { ...response.headers, 'content-encoding': 'gzip' }
+  if (isStream(response.body)) {
+    return Promise.resolve({ ...response, headers, body: pipeline(response.body, createGzip(), noop) })
+  }
+  return new Promise((resolve, reject) => {
+    gzip(response.body, (err, body) => {
+      /* istanbul ignore next */
+      if (err) return reject(err)
+      resolve({ ...response, headers: { ...headers, 'content-length': body.length }, body })
+    })
+  })
+}
+
+// like a real connection, the body is a stream when the client asks for one,
+// optionally split in chunks of `chunkSize` bytes sent every `chunkDelay` milliseconds,
+// otherwise a streamed body is read in full
+async function deliverBody (body, asStream, { chunkSize, chunkDelay = 0 }) {
+  if (asStream) {
+    return Readable.from(chunks(isStream(body) ? body : [body], chunkSize, chunkDelay), { objectMode: false })
+  }
+  if (!isStream(body)) return body
+  const buffers = []
+  for await (const chunk of body) buffers.push(Buffer.from(chunk))
+  return Buffer.concat(buffers)
+}
+
+async function * chunks (source, chunkSize, chunkDelay) {
+  for await (const chunk of source) {
+    const buffer = Buffer.from(chunk)
+    const size = chunkSize || buffer.length
+    for (let start = 0; start < buffer.length; start += size) {
+      if (chunkDelay > 0) await sleep(chunkDelay)
+      yield buffer.subarray(start, start + size)
+    }
+  }
+}
+
+class MockNotFoundError extends ElasticsearchClientError {
+  constructor (params, candidates) {
+    super(formatNotFound(params, candidates))
+    this.name = 'MockNotFoundError'
+    this.params = params
+    this.candidates = candidates
+  }
+}
+
+// a search without a mock is an item error with the Elasticsearch shape,
+// the request and the near misses are kept aside in the diagnostics
+function missingSearch (params, candidates) {
+  const { body } = errorResponse(404, 'mock_not_found_exception', `Mock not found for ${params.method} ${params.path}`)
+  return { ...body, diagnostics: { params: redactParams(params), candidates } }
+}
+
+function redactParams (params) {
+  return { ...params, headers: redactHeaders(params.headers) }
+}
+
+function redactHeaders (headers) {
+  if (headers === null || typeof headers !== 'object') return headers
+  const redacted = { ...headers }
+  for (const key of sensitiveHeaders) {
+    if (hasOwn(redacted, key)) redacted[key] = '[redacted]'
+  }
+  return redacted
+}
+
+// the header changes have the header name as path, or
+// an empty path when a matcher checks all the headers
+function redactChange (change) {
+  if (change.path === '') return { ...change, actual: redactHeaders(change.actual) }
+  if (!sensitiveHeaders.includes(change.path.slice(1))) return change
+  const redacted = { ...change, expected: '[redacted]' }
+  if (change.op === 'changed') redacted.actual = '[redacted]'
+  return redacted
+}
+
+function formatNotFound (params, candidates) {
+  let message = `Mock not found for ${params.method} ${params.path}`
+  if (candidates.length === 0) return message
+  message += '\nThe closest mocks are:'
+  for (const { pattern, mismatches, diff } of candidates) {
+    message += `\n${formatPattern(pattern)} (mismatches: ${mismatches.join(', ')})`
+    for (const key of Object.keys(diff)) {
+      for (const change of diff[key]) {
+        message += `\n      ${key}${change.path}: `
+        if (change.op === 'changed') {
+          message += `expected ${JSON.stringify(change.expected)}, received ${JSON.stringify(change.actual)}`
+        } else if (change.op === 'missing') {
+          message += `missing, expected ${JSON.stringify(change.expected)}`
+        } else {
+          message += `unexpected ${JSON.stringify(change.actual)}`
+        }
+      }
+    }
+  }
+  return message
+}
+
+class MockResponse {
+  constructor ({ statusCode = 200, headers = {}, body = '' }) {
+    this.statusCode = statusCode
+    this.headers = lowerCaseHeaders(headers)
+    this.body = body
+  }
+}
+
+function response (envelope) {
+  if (envelope === null || typeof envelope !== 'object') {
+    throw new ConfigurationError('The response envelope must be an object')
+  }
+  const { statusCode } = envelope
+  if (statusCode !== undefined && !(Number.isInteger(statusCode) && statusCode >= 100 && statusCode <= 599)) {
+    throw new ConfigurationError('The response status code must be an integer between 100 and 599')
+  }
+  if (envelope.headers !== undefined && (envelope.headers === null || typeof envelope.headers !== 'object')) {
+    throw new ConfigurationError('The response headers must be an object')
+  }
+  return new MockResponse(envelope)
+}
+
+function memoryStore (options = {}) {
+  const { refresh } = options
+  if (refresh !== undefined && refresh !== 'immediate' && refresh !== 'manual' && !(Number.isInteger(refresh) && refresh > 0)) {
+    throw new ConfigurationError('The refresh option must be immediate, manual or a positive number of milliseconds')
+  }
+  validateClock(options.now)
+  return new MemoryStore(options)
+}
+
+function paginate (hits, options = {}) {
+  if (!Array.isArray(hits) || hits.some(hit => hit === null || typeof hit !== 'object')) {
+    throw new ConfigurationError('The hits must be an array of objects')
+  }
+  validateClock(options.now)
+  return new Pagination(hits, options)
+}
+
+function validateClock (now) {
+  if (now !== undefined && typeof now !== 'function') {
+    throw new ConfigurationError('The now option must be a function')
+  }
+}
+
+function bulk (options = {}) {
+  if (options.store !== undefined && !(options.store instanceof MemoryStore)) {
+    throw new ConfigurationError('The store option must be a memory store')
+  }
+  if (options.failures !== undefined) validateFailures(options.failures)
+  if (options.random !== undefined && typeof options.random !== 'function') {
+    throw new ConfigurationError('The random option must be a function')
+  }
+  const handler = bulkHandler(options)
+  return params => response(handler(params))
+}
+
+function validateFailures (failures) {
+  if (!Array.isArray(failures)) {
+    throw new ConfigurationError('The failures option must be an array of failure rules')
+  }
+  failures.forEach((rule, index) => {
+    try {
+      if (rule === null || typeof rule !== 'object') {
+        throw new ConfigurationError('The rule must be an object')
+      }
+      const { error } = rule
+      const isCustom = error !== null && typeof error === 'object' &&
+        Number.isInteger(error.status) && error.status >= 400 && error.status <= 599 &&
+        typeof error.type === 'string' && typeof error.reason === 'string'
+      if (!hasOwn(presets, error) && !isCustom) {
+        throw new ConfigurationError(`The error must be one of ${Object.keys(presets).join(', ')} or an object with status, type and reason`)
+      }
+      if (rule.when !== undefined && typeof rule.when !== 'function') {
+        throw new ConfigurationError('The when option must be a function')
+      }
+      if (rule.rate !== undefined && !(typeof rule.rate === 'number' && rule.rate >= 0 && rule.rate <= 1)) {
+        throw new ConfigurationError('The rate option must be a number between 0 and 1')
+      }
+      if (rule.times !== undefined && !(Number.isInteger(rule.times) && rule.times > 0)) {
+        throw new ConfigurationError('The times option must be a positive integer')
+      }
+    } catch (err) {
+      throw new ConfigurationError(`Invalid failure rule #${index}: ${err.message}`)
+    }
+  })
+}
+
+// the header of a multi search has the index and the
+// querystring parameters of the equivalent search request
+function subSearchParams (params, header, body) {
+  const [, name] = params.path.split('/')
+  const { index = name === '_msearch' ? undefined : name, ...options } = header
+  const querystring = {}
+  for (const key of Object.keys(options)) {
+    querystring[key] = String(options[key])
+  }
+  return {
+    method: 'POST',
+    path: index === undefined ? '/_search' : `/${[].concat(index).join(',')}/_search`,
+    querystring,
+    body,
+    headers: { ...params.headers, 'content-type': params.headers['content-type'].replace('x-ndjson', 'json') }
+  }
+}
+
+function validateOnUnmatched (onUnmatched) {
+  if (onUnmatched === 'notFound' || onUnmatched === 'throw' || typeof onUnmatched === 'function') return
+  if (onUnmatched !== null && typeof onUnmatched === 'object' && typeof onUnmatched.passthrough === 'string') {
+    if (!isValidUrl(onUnmatched.passthrough)) {
+      throw new ConfigurationError(`Invalid passthrough node: ${onUnmatched.passthrough}`)
+    }
+    return
+  }
+  throw new ConfigurationError('The onUnmatched option must be \'notFound\', \'throw\', a function or a passthrough node')
+}
+
+function validateRecord (record) {
+  if (record === null || typeof record !== 'object' || typeof record.node !== 'string' || typeof record.fixture !== 'string') {
+    throw new ConfigurationError('The record option must have a node and a fixture path')
+  }
+  if (!isValidUrl(record.node)) {
+    throw new ConfigurationError(`Invalid record node: ${record.node}`)
+  }
+}
+
+function isValidUrl (url) {
+  try {
+    // eslint-disable-next-line no-new
+    new URL(url)
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+function readFixture (file) {
+  const content = readFileSync(file, 'utf8')
+  try {
+    return /\.ya?ml$/.test(file) ? requireYaml().load(content) : JSON.parse(content)
+  } catch (err) {
+    throw new ConfigurationError(`Cannot parse the fixture ${file}: ${err.message}`)
+  }
+}
+
+// js-yaml is an optional peer dependency,
+// only the users loading YAML fixtures need it
+function requireYaml () {
+  try {
+    return require('js-yaml')
+  } catch (err) /* istanbul ignore next */ {
+    throw new ConfigurationError('The js-yaml package is required to load YAML fixtures')
+  }
+}
+
+// a fixture item describes either a response envelope or an error,
+// which is a response error unless it is named after another client error
+function fromFixture (item) {
+  if (item === null || typeof item !== 'object' || (item.response === undefined) === (item.error === undefined)) {
+    throw new ConfigurationError('Expected either a response or an error')
+  }
+  const isError = item.error !== undefined
+  const value = isError ? item.error : item.response
+  if (value === null || typeof value !== 'object') {
+    throw new ConfigurationError(`The ${isError ? 'error' : 'response'} must be an object`)
+  }
+  const unknown = Object.keys(value).filter(key => !envelopeKeys.includes(key) && !(isError && errorKeys.includes(key)))
+  if (unknown.length > 0) {
+    throw new ConfigurationError(`Unknown ${isError ? 'error' : 'response'} keys: ${unknown.join(', ')}`)
+  }
+  if (!isError) {
+    return response(decodeBody(value))
+  }
+
+  const { name, message, ...envelope } = decodeBody(value)
+  if (name === undefined || name === 'ResponseError') {
+    return response({ statusCode: 500, ...envelope })
+  }
+  if (typeof errors[name] !== 'function') {
+    throw new ConfigurationError(`Unknown error: ${name}`)
+  }
+  return new errors[name](message)
+}
+
+// a binary body is written in base64 in the fixtures,
+// with the `bodyEncoding` of the envelope as marker
+function decodeBody ({ bodyEncoding, ...envelope }) {
+  if (bodyEncoding === undefined) return envelope
+  if (bodyEncoding !== 'base64' || typeof envelope.body !== 'string') {
+    throw new ConfigurationError('The bodyEncoding must be base64, with a string body')
+  }
+  return { ...envelope, body: Buffer.from(envelope.body, 'base64') }
+}
+
+// the recorded patterns only contain the parts of the request that
+// were actually sent, the request headers are left out since the client
+// sends many of them (user-agent, accept and so on) that change over time
+function toRecording (params, { statusCode, payload, headers }) {
+  const pattern = { method: params.method, path: params.path }
+  if (Object.keys(params.querystring).length > 0) pattern.querystring = params.querystring
+  if (params.body !== null) pattern.body = params.body
+
+  const responseHeaders = {}
+  for (const key of Object.keys(headers)) {
+    if (!transportHeaders.includes(key)) responseHeaders[key] = headers[key]
+  }
+  const type = headers['content-type'] || ''
+  const response = { statusCode, headers: responseHeaders }
+  if (payload.length > 0 && /json/.test(type)) {
+    response.body = JSON.parse(payload)
+  } else if (payload.length === 0 || type.startsWith('text/')) {
+    response.body = payload.toString()
+  } else {
+    response.body = payload.toString('base64')
+    response.bodyEncoding = 'base64'
+  }
+  return { pattern, response }
+}
+
+// sends the request to a real node, the body is sent uncompressed
+// and the response is asked uncompressed as well
+function forward (node, params, signal) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(node)
+    const search = querystring.stringify(params.querystring)
+    const body = serializeBody(params)
+    const headers = { ...params.headers }
+    for (const key of ['host', 'content-length', 'content-encoding', 'accept-encoding']) {
+      delete headers[key]
+    }
+    if (body !== null) headers['content-length'] = Buffer.byteLength(body)
+
+    /* istanbul ignore next */
+    const { request } = url.protocol === 'https:' ? https : http
+    const req = request({
+      protocol: url.protocol,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname.replace(/\/$/, '') + params[kRawPath] + (search ? `?${search}` : ''),
+      method: params.method,
+      headers,
+      signal
+    }, res => {
+      const chunks = []
+      res.on('data', chunk => { chunks.push(chunk) })
+      res.on('end', () => resolve({ statusCode: res.statusCode, payload: Buffer.concat(chunks), headers: res.headers }))
+      /* istanbul ignore next */
+      res.on('error', reject)
+    })
+    req.on('error', reject)
+    req.end(body === null ? undefined : body)
+  })
+}
+
+function serializeBody (params) {
+  if (params.body === null) return null
+  if (Array.isArray(params.body) && params.headers['content-type'].includes('x-ndjson')) {
+    return params.body.map(line => JSON.stringify(line)).join('\n') + '\n'
+  }
+  return JSON.stringify(params.body)
+}
+
 function normalizeParams (params, callback) {
   const normalized = {
     method: params.method,
@@ -211,13 +1078,16 @@ function normalizeParams (params, callback) {
     body: null,
     // querystring.parse returns a null object prototype
     // which break the fast-deep-equal algorithm
-    querystring: { ...querystring.parse(params.querystring) }
+    querystring: { ...querystring.parse(params.querystring) },
+    headers: lowerCaseHeaders(params.headers)
   }
+  // the lookup decodes the path in place, the request
+  // is forwarded with the path as the client encoded it
+  Object.defineProperty(normalized, kRawPath, { value: params.path })
 
+  const compression = normalized.headers['content-encoding'] === 'gzip'
   /* istanbul ignore next */
-  const compression = (params.headers['Content-Encoding'] || params.headers['content-encoding']) === 'gzip'
-  /* istanbul ignore next */
-  const type = params.headers['Content-Type'] || params.headers['content-type'] || ''
+  const type = normalized.headers['content-type'] || ''
 
   if (isStream(params.body)) {
     normalized.body = ''
@@ -255,6 +1125,217 @@ function normalizeParams (params, callback) {
   }
 }
 
+function matchPattern (pattern, params, mode) {
+  const partial = mode === 'partial'
+  if (pattern.body !== undefined && !matchValue(params.body, pattern.body, partial)) return false
+  if (pattern.querystring !== undefined && !matchValue(params.querystring, pattern.querystring, partial)) return false
+  // the requests always carry many headers (user-agent, accept and so on),
+  // so only the headers listed in the pattern are compared
+  if (pattern.headers !== undefined && !matchValue(params.headers, pattern.headers, true)) return false
+  return true
+}
+
+function lowerCaseHeaders (headers) {
+  if (headers === null || typeof headers !== 'object' || headers instanceof Matcher) return headers
+  const lowerCased = {}
+  for (const key of Object.keys(headers)) {
+    lowerCased[key.toLowerCase()] = headers[key]
+  }
+  return lowerCased
+}
+
+// checks if `actual` matches `expected`, evaluating the matchers and predicates
+// found along the way. In partial mode `expected` only needs to be a deep subset
+// of `actual`: objects can have additional keys while arrays must have the same length
+function matchValue (actual, expected, partial) {
+  if (typeof expected === 'function') return Boolean(expected(actual))
+  if (expected instanceof Matcher) return expected.test(actual, partial)
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) &&
+      actual.length === expected.length &&
+      expected.every((value, index) => matchValue(actual[index], value, partial))
+  }
+  if (expected !== null && typeof expected === 'object') {
+    if (actual === null || typeof actual !== 'object' || Array.isArray(actual)) return false
+    const keys = Object.keys(expected)
+    if (!partial && Object.keys(actual).length !== keys.length) return false
+    return keys.every(key => hasOwn(actual, key) && matchValue(actual[key], expected[key], partial))
+  }
+  return equal(actual, expected)
+}
+
+// returns the list of differences between `actual` and `expected`, every change
+// is described by its operation and the JSON pointer of the value
+function diffValues (actual, expected, partial, path = '', changes = []) {
+  if (typeof expected === 'function' || expected instanceof Matcher) {
+    if (!matchValue(actual, expected, partial)) {
+      changes.push({ op: 'changed', path, expected: toPlain(expected), actual })
+    }
+  } else if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) {
+      changes.push({ op: 'changed', path, expected: toPlain(expected), actual })
+    } else {
+      expected.forEach((value, index) => diffValues(actual[index], value, partial, `${path}/${index}`, changes))
+    }
+  } else if (expected !== null && typeof expected === 'object') {
+    if (actual === null || typeof actual !== 'object' || Array.isArray(actual)) {
+      changes.push({ op: 'changed', path, expected: toPlain(expected), actual })
+    } else {
+      for (const key of Object.keys(expected)) {
+        const keyPath = `${path}/${escapePointer(key)}`
+        if (hasOwn(actual, key)) {
+          diffValues(actual[key], expected[key], partial, keyPath, changes)
+        } else {
+          changes.push({ op: 'missing', path: keyPath, expected: toPlain(expected[key]) })
+        }
+      }
+      if (!partial) {
+        for (const key of Object.keys(actual)) {
+          if (!hasOwn(expected, key)) {
+            changes.push({ op: 'unexpected', path: `${path}/${escapePointer(key)}`, actual: actual[key] })
+          }
+        }
+      }
+    }
+  } else if (!equal(actual, expected)) {
+    changes.push({ op: 'changed', path, expected, actual })
+  }
+  return changes
+}
+
+function escapePointer (key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+// replaces the matchers and predicates with their description
+function toPlain (value) {
+  if (value instanceof Matcher) return value.description
+  if (typeof value === 'function') return value.name ? `[Function: ${value.name}]` : '[Function]'
+  if (Array.isArray(value)) return value.map(toPlain)
+  if (value !== null && typeof value === 'object') {
+    const plain = {}
+    for (const key of Object.keys(value)) {
+      plain[key] = toPlain(value[key])
+    }
+    return plain
+  }
+  return value
+}
+
+function routeMatches (router, mock, path) {
+  const handler = router.find(mock.pattern.method, path)
+  return handler !== null && handler.store.includes(mock)
+}
+
+// the path with the most common accidental differences removed:
+// double encoding, letter case and repeated slashes
+function loosePath (path) {
+  try {
+    path = decodeURIComponent(path)
+  } catch (err) {}
+  return path.toLowerCase().replace(/\/{2,}/g, '/')
+}
+
+function hasOwn (obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key)
+}
+
+class Matcher {
+  constructor (description, test) {
+    this.description = description
+    this.test = test
+  }
+
+  toJSON () {
+    return this.description
+  }
+}
+
+const match = {
+  any (Type) {
+    if (typeof Type !== 'function') throw new ConfigurationError('match.any expects a constructor')
+    return new Matcher(`match.any(${Type.name})`, value => {
+      if (Type === String) return typeof value === 'string'
+      if (Type === Number) return typeof value === 'number'
+      if (Type === Boolean) return typeof value === 'boolean'
+      if (Type === Array) return Array.isArray(value)
+      if (Type === Object) return value !== null && typeof value === 'object'
+      return value instanceof Type
+    })
+  },
+
+  anything () {
+    return new Matcher('match.anything()', value => value !== undefined && value !== null)
+  },
+
+  regex (re) {
+    if (!(re instanceof RegExp)) throw new ConfigurationError('match.regex expects a regular expression')
+    return new Matcher(`match.regex(${re})`, value => {
+      re.lastIndex = 0
+      return typeof value === 'string' && re.test(value)
+    })
+  },
+
+  arrayContaining (values) {
+    if (!Array.isArray(values)) throw new ConfigurationError('match.arrayContaining expects an array')
+    return new Matcher(`match.arrayContaining(${stringify(values)})`, (actual, partial) => {
+      return Array.isArray(actual) &&
+        values.every(value => actual.some(item => matchValue(item, value, partial)))
+    })
+  },
+
+  objectContaining (object) {
+    if (object === null || typeof object !== 'object' || Array.isArray(object)) {
+      throw new ConfigurationError('match.objectContaining expects an object')
+    }
+    return new Matcher(`match.objectContaining(${stringify(object)})`, actual => {
+      return matchValue(actual, object, true)
+    })
+  }
+}
+
+// exact patterns are always more precise than partial ones, while
+// between partial patterns the one with more values to check wins
+function precision (mock) {
+  if (mock.match === 'exact') return Infinity
+  return countLeaves(mock.pattern.body) + countLeaves(mock.pattern.querystring) + countLeaves(mock.pattern.headers)
+}
+
+function countLeaves (value) {
+  if (value === undefined) return 0
+  if (typeof value === 'function' || value instanceof Matcher) return 1
+  if (value !== null && typeof value === 'object') {
+    const values = Object.values(value)
+    // an empty object or array is a value to check as well
+    return values.length === 0 ? 1 : values.reduce((count, value) => count + countLeaves(value), 0)
+  }
+  return 1
+}
+
+function formatPattern (pattern) {
+  let str = `  - ${pattern.method} ${pattern.path}`
+  if (pattern.querystring !== undefined) str += ` querystring=${stringify(pattern.querystring)}`
+  if (pattern.body !== undefined) str += ` body=${stringify(pattern.body)}`
+  if (pattern.headers !== undefined) str += ` headers=${stringify(pattern.headers)}`
+  return str
+}
+
+// JSON.stringify that prints the matchers and predicates
+// as they are, instead of quoting them as strings
+function stringify (value) {
+  const descriptions = []
+  const json = JSON.stringify(value, function (key, value) {
+    const raw = this[key]
+    if (raw instanceof Matcher || typeof raw === 'function') {
+      descriptions.push(toPlain(raw))
+    } else {
+      return value
+    }
+    return `\u0000${descriptions.length - 1}\u0000`
+  })
+  return json.replace(/"\\u0000(\d+)\\u0000"/g, (_, index) => descriptions[index])
+}
+
 function isStream (obj) {
   return obj != null && typeof obj.pipe === 'function'
 }
@@ -280,5 +1361,17 @@ function isElasticsearchClientError (payload) {
 }
 
 Mocker.errors = errors
+Mocker.match = match
+Mocker.response = response
+Mocker.MockNotFoundError = MockNotFoundError
+Mocker.memoryStore = memoryStore
+Mocker.bulk = bulk
+Mocker.paginate = paginate
 module.exports = Mocker
 module.exports.errors = errors
+module.exports.match = match
+module.exports.response = response
+module.exports.MockNotFoundError = MockNotFoundError
+module.exports.memoryStore = memoryStore
+module.exports.bulk = bulk
+module.exports.paginate = paginate
@@ -17,9 +17,10 @@
  * under the License.
  */
 
+import { Readable } from 'stream'
 import { expectType, expectError } from 'tsd'
 import { Client } from '@elastic/elasticsearch'
-import Mock, { MockPattern, errors } from './'
+import Mock, { MockPattern, MockCall, MockCandidate, MockResponse, MockNotFoundError, Matcher, MemoryStore, StoredDocument, BulkOperation, errors, match, response, memoryStore, bulk, paginate, MockBackend } from './'
 
 const mock = new Mock()
 const client = new Client({
@@ -106,3 +107,290 @@ expectError(
     path: '/'
   })
 )
+
+expectType<MockCall[]>(mock.calls())
+expectType<MockCall[]>(mock.calls({ method: 'POST', path: '/:index/_search' }))
+expectType<MockCall | null>(mock.lastCall())
+expectType<Mock>(mock.resetHistory())
+
+expectType<MockPattern[]>(mock.pendingMocks())
+expectType<boolean>(mock.isDone())
+expectType<void>(mock.assertDone())
+
+mock.add({
+  method: 'GET',
+  path: '/'
+}, () => {
+  return { status: 'ok' }
+}, { times: 2 })
+
+mock.once({
+  method: 'GET',
+  path: '/'
+}, () => {
+  return new errors.ResponseError({ body: { error: { reason: 'unavailable' }, status: 503 }, statusCode: 503 } as any)
+})
+
+// times should be a number
+expectError(
+  mock.add({
+    method: 'GET',
+    path: '/'
+  }, () => {
+    return { status: 'ok' }
+  }, { times: '2' })
+)
+
+mock.addSequence({
+  method: 'GET',
+  path: '/_cluster/health'
+}, [
+  { status: 'yellow' },
+  'green',
+  new errors.TimeoutError('timeout', {} as any)
+])
+
+mock.addSequence({
+  method: 'GET',
+  path: '/_cluster/health'
+}, [{ status: 'green' }], { onExhausted: 'notFound' })
+
+// unknown onExhausted value
+expectError(
+  mock.addSequence({
+    method: 'GET',
+    path: '/_cluster/health'
+  }, [{ status: 'green' }], { onExhausted: 'restart' })
+)
+
+mock.add({
+  method: 'GET',
+  path: '/'
+}, async params => {
+  expectType<MockPattern>(params)
+  return { status: 'ok' }
+})
+
+mock.add({
+  method: 'GET',
+  path: '/'
+}, async () => {
+  return new errors.ResponseError({ body: { error: { reason: 'not found' }, status: 404 }, statusCode: 404 } as any)
+})
+
+mock.add({
+  method: 'GET',
+  path: '/'
+}, () => {
+  return { status: 'ok' }
+}, { delay: 100 })
+
+mock.add({
+  method: 'GET',
+  path: '/'
+}, () => {
+  return { status: 'ok' }
+}, { delay: [50, 100], times: 1 })
+
+mock.add({
+  method: 'GET',
+  path: '/_cat/indices'
+}, () => {
+  return Buffer.from('green open test\n')
+}, { chunkSize: 4, chunkDelay: 10 })
+
+mock.add({
+  method: 'GET',
+  path: '/_cat/indices'
+}, () => {
+  return Readable.from(['green open test\n'])
+})
+
+mock.add({
+  method: 'GET',
+  path: '/_cat/indices'
+}, async function * () {
+  yield 'green open test\n'
+})
+
+expectError(mock.add({ method: 'GET', path: '/' }, () => ({}), { chunkSize: '4' }))
+
+mock.add({
+  method: 'GET',
+  path: '/'
+}, () => {
+  return { status: 'ok' }
+}, {
+  delay: params => {
+    expectType<MockPattern>(params)
+    return 100
+  }
+})
+
+mock.addSequence({
+  method: 'GET',
+  path: '/_cluster/health'
+}, [{ status: 'green' }], { delay: 100 })
+
+// delay should be a number, a range or a function
+expectError(
+  mock.add({
+    method: 'GET',
+    path: '/'
+  }, () => {
+    return { status: 'ok' }
+  }, { delay: '100ms' })
+)
+
+const partialMock = new Mock({ match: 'partial' })
+expectType<Mock>(partialMock)
+expectError(new Mock({ match: 'loose' }))
+
+mock.add({
+  method: 'POST',
+  path: '/:index/_search',
+  body: { query: { match: { foo: 'bar' } } }
+}, () => {
+  return { status: 'ok' }
+}, { match: 'partial' })
+
+expectType<MockCall[]>(mock.calls({ method: 'POST', path: '/:index/_search', body: { size: 10 } }, { match: 'partial' }))
+
+expectType<Matcher>(Mock.match.any(String))
+expectType<Matcher>(match.regex(/logs-.*/))
+
+mock.add({
+  method: 'POST',
+  path: '/:index/_search',
+  querystring: { q: Mock.match.regex(/^foo/), size: value => Number(value) > 10 },
+  body: {
+    query: { term: { id: Mock.match.any(String) } },
+    sort: Mock.match.arrayContaining(['@timestamp']),
+    timestamp: (value: number) => value > 0
+  }
+}, () => {
+  return { status: 'ok' }
+})
+
+mock.add({
+  method: 'POST',
+  path: '/:index/_search',
+  body: body => body.size === 10
+}, () => {
+  return { status: 'ok' }
+})
+
+// regex expects a regular expression
+expectError(Mock.match.regex('logs-.*'))
+
+mock.add({
+  method: 'GET',
+  path: '/',
+  headers: { authorization: 'ApiKey foo', 'x-opaque-id': Mock.match.regex(/^job-/) }
+}, params => {
+  expectType<MockPattern['headers']>(params.headers)
+  return { status: 'ok' }
+})
+
+// header values should be strings
+expectError(
+  mock.add({
+    method: 'GET',
+    path: '/',
+    headers: { 'x-retries': 1 }
+  }, () => {
+    return { status: 'ok' }
+  })
+)
+
+expectType<MockResponse>(response({ statusCode: 201 }))
+
+mock.add({
+  method: 'PUT',
+  path: '/:index'
+}, () => {
+  return Mock.response({
+    statusCode: 201,
+    headers: { warning: '299 Elasticsearch-9.0.0 "deprecated"' },
+    body: { acknowledged: true }
+  })
+})
+
+mock.add({
+  method: 'HEAD',
+  path: '/:index'
+}, async () => {
+  return Mock.response({ statusCode: 404 })
+})
+
+// the status code should be a number
+expectError(Mock.response({ statusCode: '201' }))
+
+expectType<Mock>(new Mock({ onUnmatched: 'throw' }))
+expectType<Mock>(new Mock({ onUnmatched: { passthrough: 'http://localhost:9201' } }))
+expectType<Mock>(new Mock({ onUnmatched: async () => Mock.response({ statusCode: 404 }) }))
+expectError(new Mock({ onUnmatched: 'ignore' }))
+
+const notFound = new Mock.MockNotFoundError({ method: 'GET', path: '/' }, [])
+expectType<MockNotFoundError>(notFound)
+expectType<MockCandidate[]>(notFound.candidates)
+
+expectType<Mock>(new Mock({ record: { node: 'http://localhost:9200', fixture: './fixtures/search.json' } }))
+expectError(new Mock({ record: { node: 'http://localhost:9200' } }))
+expectType<Mock>(new Mock().replay('./fixtures/search.json'))
+
+expectType<Mock>(new Mock().load('./fixtures/search.yaml'))
+expectType<Mock>(new Mock().load([
+  { pattern: { method: 'GET', path: '/' }, response: { statusCode: 200, body: { ok: true } }, times: 1 },
+  { pattern: { method: 'GET', path: '/_cat/health' }, error: { name: 'ConnectionError', message: 'kaboom' } },
+  { pattern: { method: 'GET', path: '/_cluster/health' }, sequence: [{ error: { statusCode: 503 } }, { response: {} }] },
+  { pattern: { method: 'POST', path: '/_query' }, response: { body: '/////w==', bodyEncoding: 'base64' } }
+]))
+expectError(new Mock().load([{ response: {} }]))
+expectError(new Mock().load([{ pattern: { method: 'GET', path: '/' }, response: { body: '', bodyEncoding: 'hex' } }]))
+
+{
+  const store = Mock.memoryStore()
+  expectType<MemoryStore>(store)
+  expectType<Mock>(new Mock().use(store))
+  expectType<StoredDocument[]>(store.documents('test'))
+  expectType<MemoryStore>(store.clear())
+  expectType<MemoryStore>(memoryStore())
+  expectType<MemoryStore>(memoryStore({ refresh: 'manual' }))
+  expectType<MemoryStore>(Mock.memoryStore({ refresh: 1000, now: () => 0 }))
+  expectError(memoryStore({ refresh: 'never' }))
+  expectType<Mock>(new Mock().use({
+    routes: () => [{ method: 'GET', path: '/_cat/health', handler: () => ({ body: 'green' }) }]
+  }))
+  expectType<Mock>(new Mock().use({
+    routes: () => [{ method: 'GET', path: '/:index', handler: params => params.path === '/' ? null : { body: {} } }]
+  }))
+  expectError(new Mock().use({}))
+}
+
+{
+  const store = Mock.memoryStore()
+  const mock = new Mock().use(store)
+  expectType<Mock>(mock.add({ method: 'POST', path: '/_bulk' }, Mock.bulk()))
+  expectType<Mock>(mock.add({ method: 'POST', path: '/_bulk' }, bulk({
+    store,
+    failures: [
+      { error: 'rejected', rate: 0.1 },
+      { error: 'mapper_parsing', when: (operation: BulkOperation) => operation.action === 'index', times: 1 },
+      { error: { status: 503, type: 'unavailable_shards_exception', reason: 'primary shard is not active' } }
+    ],
+    random: () => 0.5
+  })))
+  expectError(Mock.bulk({ failures: [{ error: 'foo' }] }))
+  expectError(Mock.bulk({ store: {} }))
+  expectError(Mock.bulk({ random: 0.5 }))
+}
+
+{
+  const hits = [{ _index: 'test', _id: '1', _source: { foo: 'bar' }, sort: [1] }]
+  expectType<MockBackend>(Mock.paginate(hits))
+  expectType<Mock>(new Mock().use(paginate(hits)))
+  expectError(Mock.paginate(['foo']))
+  expectType<MockBackend>(paginate(hits, { now: () => 0 }))
+  expectError(paginate(hits, { now: 0 }))
+}
@@ -0,0 +1,407 @@
+/*
+ * Licensed to Elasticsearch B.V. under one or more contributor
+ * license agreements. See the NOTICE file distributed with
+ * this work for additional information regarding copyright
+ * ownership. Elasticsearch B.V. licenses this file to you under
+ * the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+'use strict'
+
+const { ElasticsearchError, parsingError } = require('./errors')
+const { compileQuery } = require('./query')
+const { docValues, getValues, isDate, parseDate, compareValues, parseTimeValue } = require('./fields')
+const { collectHits, parseSort, parseSource } = require('./hits')
+
+const day = 24 * 60 * 60 * 1000
+const maxBuckets = 65536
+const fixedUnits = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: day }
+const calendarUnits = {
+  minute: 'minute',
+  '1m': 'minute',
+  hour: 'hour',
+  '1h': 'hour',
+  day: 'day',
+  '1d': 'day',
+  week: 'week',
+  '1w': 'week',
+  month: 'month',
+  '1M': 'month',
+  quarter: 'quarter',
+  '1q': 'quarter',
+  year: 'year',
+  '1y': 'year'
+}
+
+// the bucket aggregations group the hits and run the sub-aggregations on every group,
+// they receive the aggregation body, the hits, a function that aggregates a group,
+// the name of the aggregation and the `now` clock of the date math expressions
+const bucketAggregations = {
+  terms (body, hits, aggregateBucket, name) {
+    const field = requireField(body)
+    const size = body.size === undefined ? 10 : Number(body.size)
+    const minDocCount = body.min_doc_count === undefined ? 1 : Number(body.min_doc_count)
+    const groups = new Map()
+    let format = null
+    for (const hit of hits) {
+      let values = new Set(fieldValues(hit, field))
+      if (values.size === 0 && body.missing !== undefined) values = new Set([body.missing])
+      for (const value of values) {
+        if (!groups.has(value)) groups.set(value, [])
+        groups.get(value).push(hit)
+      }
+      format = format || valueFormat(hit, field)
+    }
+
+    const buckets = Array.from(groups, ([value, group]) => {
+      const bucket = { key: typeof value === 'boolean' ? Number(value) : value }
+      if (typeof value === 'boolean') bucket.key_as_string = String(value)
+      else if (format === 'date') bucket.key_as_string = new Date(value).toISOString()
+      return { ...bucket, doc_count: group.length, ...aggregateBucket(group) }
+    }).filter(bucket => bucket.doc_count >= minDocCount)
+    buckets.sort(bucketOrder(body.order, name, buckets[0]))
+
+    const kept = buckets.slice(0, size)
+    return {
+      doc_count_error_upper_bound: 0,
+      sum_other_doc_count: buckets.slice(size).reduce((sum, bucket) => sum + bucket.doc_count, 0),
+      buckets: kept
+    }
+  },
+
+  date_histogram (body, hits, aggregateBucket, name, now) {
+    const field = requireField(body)
+    const interval = dateInterval(body)
+    const parseBound = value => value === undefined ? undefined : parseDate(value, now)
+    const buckets = histogram(hits, field, interval, body, aggregateBucket, {
+      min: parseBound(body.extended_bounds && body.extended_bounds.min),
+      max: parseBound(body.extended_bounds && body.extended_bounds.max)
+    })
+    return {
+      buckets: buckets.map(bucket => ({ key_as_string: formatDate(bucket.key, body.format), ...bucket }))
+    }
+  },
+
+  histogram (body, hits, aggregateBucket, name) {
+    const field = requireField(body)
+    const step = Number(body.interval)
+    if (!(step > 0)) {
+      throw new ElasticsearchError(400, 'illegal_argument_exception', `[interval] must be >0 for histogram aggregation [${name}]`)
+    }
+    const offset = Number(body.offset || 0)
+    const interval = {
+      floor: value => Math.floor((value - offset) / step) * step + offset,
+      next: key => key + step
+    }
+    const bounds = body.extended_bounds || {}
+    return { buckets: histogram(hits, field, interval, body, aggregateBucket, bounds) }
+  },
+
+  range (body, hits, aggregateBucket, name) {
+    const field = requireField(body)
+    if (!Array.isArray(body.ranges) || body.ranges.length === 0) {
+      throw new ElasticsearchError(400, 'illegal_argument_exception', `No [ranges] specified for the [${name}] aggregation`)
+    }
+    const buckets = body.ranges.map(range => {
+      const from = range.from === undefined || range.from === null ? undefined : Number(range.from)
+      const to = range.to === undefined || range.to === null ? undefined : Number(range.to)
+      const group = hits.filter(hit => fieldValues(hit, field).some(value => {
+        return (from === undefined || value >= from) && (to === undefined || value < to)
+      }))
+      const bucket = { key: range.key || `${formatDouble(from)}-${formatDouble(to)}` }
+      if (from !== undefined) bucket.from = from
+      if (to !== undefined) bucket.to = to
+      return { ...bucket, doc_count: group.length, ...aggregateBucket(group) }
+    })
+    return { buckets: keyed(buckets, body.keyed) }
+  },
+
+  filter (body, hits, aggregateBucket, name, now) {
+    const query = compileQuery(body, now)
+    const group = hits.filter(hit => query(hit.doc) !== null)
+    return { doc_count: group.length, ...aggregateBucket(group) }
+  },
+
+  filters (body, hits, aggregateBucket, name, now) {
+    const filters = body.filters
+    if (filters === null || typeof filters !== 'object') {
+      throw parsingError(`[filters] cannot be empty in the [${name}] aggregation`)
+    }
+    const bucket = query => {
+      const compiled = compileQuery(query, now)
+      const group = hits.filter(hit => compiled(hit.doc) !== null)
+      return { doc_count: group.length, ...aggregateBucket(group) }
+    }
+    if (Array.isArray(filters)) {
+      return { buckets: filters.map(bucket) }
+    }
+    const buckets = {}
+    for (const key of Object.keys(filters)) {
+      buckets[key] = bucket(filters[key])
+    }
+    return { buckets }
+  }
+}
+
+// the metric aggregations compute a value out of the hits
+const metricAggregations = {
+  avg (body, hits) {
+    const values = numericValues(hits, requireField(body))
+    return metric(values.length === 0 ? null : sum(values) / values.length, hits, body.field)
+  },
+
+  sum (body, hits) {
+    return { value: sum(numericValues(hits, requireField(body))) }
+  },
+
+  min (body, hits) {
+    const values = numericValues(hits, requireField(body))
+    return metric(values.length === 0 ? null : Math.min(...values), hits, body.field)
+  },
+
+  max (body, hits) {
+    const values = numericValues(hits, requireField(body))
+    return metric(values.length === 0 ? null : Math.max(...values), hits, body.field)
+  },
+
+  value_count (body, hits) {
+    const field = requireField(body)
+    return { value: hits.reduce((count, hit) => count + fieldValues(hit, field).length, 0) }
+  },
+
+  cardinality (body, hits) {
+    const field = requireField(body)
+    return { value: new Set(hits.flatMap(hit => fieldValues(hit, field))).size }
+  },
+
+  top_hits (body, hits) {
+    const request = {
+      from: Number(body.from || 0),
+      size: body.size === undefined ? 3 : Number(body.size),
+      sort: body.sort === undefined ? null : [].concat(body.sort).map(parseSort),
+      _source: parseSource(body._source),
+      track_scores: body.track_scores
+    }
+    return { hits: { total: { value: hits.length, relation: 'eq' }, ...collectHits(hits, request) } }
+  }
+}
+
+// runs the given aggregations over the hits, which have the `doc`, `score` and `position` keys
+function aggregate (aggregations, hits, now) {
+  if (aggregations === null || typeof aggregations !== 'object' || Array.isArray(aggregations)) {
+    throw parsingError('Aggregation definition must start with a [START_OBJECT]')
+  }
+  const result = {}
+  for (const name of Object.keys(aggregations)) {
+    result[name] = aggregateOne(name, aggregations[name], hits, now)
+  }
+  return result
+}
+
+function aggregateOne (name, definition, hits, now) {
+  if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw parsingError(`Aggregation definition for [${name}] starts with a [VALUE], expected a [START_OBJECT].`)
+  }
+  const { aggs, aggregations, meta, ...types } = definition
+  const keys = Object.keys(types)
+  if (keys.length === 0) {
+    throw parsingError(`Missing definition for aggregation [${name}]`)
+  } else if (keys.length > 1) {
+    throw parsingError(`Found two aggregation type definitions in [${name}]: [${keys[0]}] and [${keys[1]}]`)
+  }
+  const [type] = keys
+  const subAggregations = aggs || aggregations
+
+  let result
+  if (Object.prototype.hasOwnProperty.call(bucketAggregations, type)) {
+    const aggregateBucket = group => subAggregations === undefined ? {} : aggregate(subAggregations, group, now)
+    result = bucketAggregations[type](types[type], hits, aggregateBucket, name, now)
+  } else if (Object.prototype.hasOwnProperty.call(metricAggregations, type)) {
+    if (subAggregations !== undefined) {
+      throw new ElasticsearchError(400, 'aggregation_initialization_exception',
+        `Aggregator [${name}] of type [${type}] cannot accept sub-aggregations`)
+    }
+    result = metricAggregations[type](types[type], hits)
+  } else {
+    throw parsingError(`Unknown aggregation type [${type}]`)
+  }
+  if (meta !== undefined) result.meta = meta
+  return result
+}
+
+// groups the hits by the floored value of the field, and fills the gaps
+// between the first and last bucket (or the extended bounds) with empty buckets
+function histogram (hits, field, interval, body, aggregateBucket, bounds) {
+  const minDocCount = body.min_doc_count === undefined ? 0 : Number(body.min_doc_count)
+  const groups = new Map()
+  for (const hit of hits) {
+    const keys = new Set(fieldValues(hit, field).map(value => interval.floor(value)))
+    for (const key of keys) {
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(hit)
+    }
+  }
+
+  const keys = Array.from(groups.keys())
+  if (minDocCount === 0) {
+    if (bounds.min !== undefined) keys.push(interval.floor(Number(bounds.min)))
+    if (bounds.max !== undefined) keys.push(interval.floor(Number(bounds.max)))
+    if (keys.length > 0) {
+      const last = Math.max(...keys)
+      for (let key = Math.min(...keys); key <= last; key = interval.next(key)) {
+        if (!groups.has(key)) groups.set(key, [])
+        if (groups.size > maxBuckets) {
+          throw new ElasticsearchError(503, 'too_many_buckets_exception',
+            `Trying to create too many buckets. Must be less than or equal to: [${maxBuckets}] but this number of buckets was exceeded. ` +
+            'This limit can be set by changing the [search.max_buckets] cluster level setting.', { max_buckets: maxBuckets })
+        }
+      }
+    }
+  }
+
+  return Array.from(groups, ([key, group]) => ({ key, doc_count: group.length, ...aggregateBucket(group) }))
+    .filter(bucket => bucket.doc_count >= minDocCount)
+    .sort((a, b) => a.key - b.key)
+}
+
+function dateInterval (body) {
+  if (body.calendar_interval !== undefined) {
+    const unit = calendarUnits[body.calendar_interval]
+    if (unit === undefined) {
+      throw new ElasticsearchError(400, 'illegal_argument_exception',
+        `The supplied interval [${body.calendar_interval}] could not be parsed as a calendar interval.`)
+    }
+    return { floor: value => floorDate(value, unit), next: key => addDate(key, unit) }
+  }
+  if (body.fixed_interval !== undefined) {
+    const step = parseTimeValue(body.fixed_interval, 'date_histogram.fixedInterval')
+    return { floor: value => Math.floor(value / step) * step, next: key => key + step }
+  }
+  throw new ElasticsearchError(400, 'illegal_argument_exception',
+    'Required one of fields [fixed_interval, calendar_interval], but none were specified.')
+}
+
+// the calendar intervals are rounded in UTC, and the weeks start on Monday
+function floorDate (value, unit) {
+  const date = new Date(value)
+  const month = date.getUTCMonth()
+  if (unit === 'year') return Date.UTC(date.getUTCFullYear(), 0)
+  if (unit === 'quarter') return Date.UTC(date.getUTCFullYear(), month - month % 3)
+  if (unit === 'month') return Date.UTC(date.getUTCFullYear(), month)
+  const midnight = Date.UTC(date.getUTCFullYear(), month, date.getUTCDate())
+  if (unit === 'week') return midnight - ((date.getUTCDay() + 6) % 7) * day
+  if (unit === 'day') return midnight
+  if (unit === 'hour') return midnight + date.getUTCHours() * fixedUnits.h
+  return midnight + date.getUTCHours() * fixedUnits.h + date.getUTCMinutes() * fixedUnits.m
+}
+
+function addDate (value, unit) {
+  const date = new Date(value)
+  if (unit === 'year') return date.setUTCFullYear(date.getUTCFullYear() + 1)
+  if (unit === 'quarter') return date.setUTCMonth(date.getUTCMonth() + 3)
+  if (unit === 'month') return date.setUTCMonth(date.getUTCMonth() + 1)
+  if (unit === 'week') return value + 7 * day
+  if (unit === 'day') return value + day
+  if (unit === 'hour') return value + fixedUnits.h
+  return value + fixedUnits.m
+}
+
+// supports the most common tokens of the Java date formats
+function formatDate (value, format) {
+  const iso = new Date(value).toISOString()
+  if (format === undefined) return iso
+  const tokens = {
+    yyyy: iso.slice(0, 4),
+    MM: iso.slice(5, 7),
+    dd: iso.slice(8, 10),
+    HH: iso.slice(11, 13),
+    mm: iso.slice(14, 16),
+    ss: iso.slice(17, 19)
+  }
+  return format.replace(/yyyy|MM|dd|HH|mm|ss/g, token => tokens[token])
+}
+
+// the order of the terms buckets, by count, key or the value of a sub-aggregation,
+// the ties are broken by key like in Elasticsearch
+function bucketOrder (order = [{ _count: 'desc' }], name, sample) {
+  const criteria = [].concat(order).map(item => {
+    const [key] = Object.keys(item)
+    const direction = item[key] === 'asc' ? 1 : -1
+    if (key === '_count') return (a, b) => (a.doc_count - b.doc_count) * direction
+    if (key === '_key') return (a, b) => compareValues(a.key, b.key) * direction
+    if (sample !== undefined && sample[key] === undefined) {
+      throw new ElasticsearchError(400, 'aggregation_execution_exception',
+        `Invalid aggregation order path [${key}]. The provided aggregation [${key}] is not a sub-aggregation of [${name}]`)
+    }
+    return (a, b) => (bucketValue(a[key]) - bucketValue(b[key])) * direction
+  })
+  return (a, b) => {
+    for (const compare of criteria) {
+      const result = compare(a, b)
+      if (result !== 0) return result
+    }
+    return compareValues(a.key, b.key)
+  }
+}
+
+function bucketValue (aggregation) {
+  return aggregation.value === undefined ? aggregation.doc_count : aggregation.value
+}
+
+function requireField (body) {
+  if (body === null || typeof body !== 'object' || typeof body.field !== 'string') {
+    throw new ElasticsearchError(400, 'illegal_argument_exception',
+      'Required one of fields [field, script], but none were specified.')
+  }
+  return body.field
+}
+
+function fieldValues (hit, field) {
+  return docValues(hit.doc._source, field, hit.doc._index)
+}
+
+function valueFormat (hit, field) {
+  return getValues(hit.doc._source, field).some(isDate) ? 'date' : null
+}
+
+function numericValues (hits, field) {
+  return hits.flatMap(hit => fieldValues(hit, field)).filter(value => typeof value === 'number')
+}
+
+// the metrics of a date field have a formatted value as well
+function metric (value, hits, field) {
+  const result = { value }
+  if (value !== null && hits.some(hit => valueFormat(hit, field) === 'date')) {
+    result.value_as_string = new Date(value).toISOString()
+  }
+  return result
+}
+
+function sum (values) {
+  return values.reduce((total, value) => total + value, 0)
+}
+
+function keyed (buckets, isKeyed) {
+  if (isKeyed !== true) return buckets
+  const result = {}
+  for (const { key, ...bucket } of buckets) result[key] = bucket
+  return result
+}
+
+function formatDouble (value) {
+  if (value === undefined) return '*'
+  return Number.isInteger(value) ? value.toFixed(1) : String(value)
+}
+
+module.exports = { aggregate }
@@ -0,0 +1,175 @@
+/*
+ * Licensed to Elasticsearch B.V. under one or more contributor
+ * license agreements. See the NOTICE file distributed with
+ * this work for additional information regarding copyright
+ * ownership. Elasticsearch B.V. licenses this file to you under
+ * the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+'use strict'
+
+const { randomBytes } = require('crypto')
+const { ElasticsearchError, catchErrors, errorResponse } = require('./errors')
+const { refreshParam } = require('./indices')
+
+// the backend that executes the single operations, a memory store
+// exposes it under this symbol to apply the bulk requests to its documents
+const kExecute = Symbol('elasticsearch-mock-execute')
+// and this one makes the changes of the request visible to the search
+const kRefresh = Symbol('elasticsearch-mock-refresh')
+
+const actions = ['index', 'create', 'update', 'delete']
+
+// the metadata of an action line that the single document APIs read from the querystring
+const versionParameters = ['if_seq_no', 'if_primary_term', 'version', 'version_type']
+
+// the failures that are most often needed to test the bulk helper,
+// 429 is retried while the others are dropped
+const presets = {
+  version_conflict: item => ({
+    status: 409,
+    type: 'version_conflict_engine_exception',
+    reason: item.action === 'create'
+      ? `[${item.id}]: version conflict, document already exists (current version [1])`
+      : `[${item.id}]: version conflict, required seqNo [0], primary term [1]. current document has seqNo [1] and primary term [1]`
+  }),
+  rejected: () => ({
+    status: 429,
+    type: 'es_rejected_execution_exception',
+    reason: 'rejected execution of coordinating operation'
+  }),
+  mapper_parsing: item => ({
+    status: 400,
+    type: 'mapper_parsing_exception',
+    reason: `failed to parse document with id [${item.id}]`
+  })
+}
+
+// pairs the action and source lines of a bulk request and executes them one by one,
+// the first failure rule that applies to an operation replaces its result, and the
+// `random` function, between 0 and 1 like Math.random, draws the rules with a rate
+function bulkHandler ({ store, failures = [], random = Math.random }) {
+  const execute = store === undefined ? statelessExecute() : (operation, querystring) => store[kExecute](operation, querystring)
+  const rules = failures.map(rule => ({ ...rule, remaining: rule.times === undefined ? Infinity : rule.times }))
+
+  return params => catchErrors(() => {
+    const refresh = refreshParam(params.querystring)
+    const operations = parseOperations(params)
+    const items = operations.map(({ item, querystring }) => {
+      const failure = injectedFailure(rules, item, random)
+      const { statusCode, body } = failure === null ? execute(item, querystring) : errorResponse(failure.status, failure.type, failure.reason, { index: item.index })
+      return { [item.action]: toItem(item, statusCode, body) }
+    })
+    if (refresh && store !== undefined) {
+      store[kRefresh](operations.map(({ item }) => item.index))
+    }
+    return {
+      statusCode: 200,
+      body: { took: 1, errors: items.some(item => Object.values(item)[0].error !== undefined), items }
+    }
+  })
+}
+
+function parseOperations (params) {
+  const [, name] = params.path.split('/')
+  const lines = Array.isArray(params.body) ? params.body : []
+  if (lines.length === 0) {
+    throw new ElasticsearchError(400, 'action_request_validation_exception', 'Validation Failed: 1: no requests added;')
+  }
+
+  const operations = []
+  for (let line = 0; line < lines.length; line++) {
+    const action = isObject(lines[line]) ? Object.keys(lines[line]) : []
+    if (action.length !== 1 || !actions.includes(action[0]) || !isObject(lines[line][action[0]])) {
+      throw new ElasticsearchError(400, 'illegal_argument_exception',
+        `Malformed action/metadata line [${line + 1}], expected one of [${actions.join(', ')}] but found [${action.join(', ')}]`)
+    }
+
+    const metadata = lines[line][action[0]]
+    const operation = {
+      action: action[0],
+      index: metadata._index || (name === '_bulk' ? undefined : name),
+      id: metadata._id,
+      document: undefined
+    }
+    if (operation.index === undefined) {
+      throw new ElasticsearchError(400, 'action_request_validation_exception', 'Validation Failed: 1: index is missing;')
+    }
+    if (operation.id === undefined) {
+      if (operation.action === 'update' || operation.action === 'delete') {
+        throw new ElasticsearchError(400, 'action_request_validation_exception', 'Validation Failed: 1: id is missing;')
+      }
+      operation.id = randomBytes(15).toString('base64url')
+    }
+    if (operation.action !== 'delete') {
+      line += 1
+      if (line === lines.length) {
+        throw new ElasticsearchError(400, 'illegal_argument_exception', `The ${operation.action} action at line [${line}] has no source`)
+      }
+      operation.document = lines[line]
+    }
+    const querystring = {}
+    for (const key of versionParameters) {
+      if (metadata[key] !== undefined) querystring[key] = String(metadata[key])
+    }
+    operations.push({ item: operation, querystring })
+  }
+  return operations
+}
+
+function injectedFailure (rules, item, random) {
+  for (const rule of rules) {
+    if (rule.remaining === 0) continue
+    if (rule.when !== undefined && !rule.when(item)) continue
+    if (rule.rate !== undefined && random() >= rule.rate) continue
+    rule.remaining -= 1
+    return typeof rule.error === 'string' ? presets[rule.error](item) : rule.error
+  }
+  return null
+}
+
+// the per item result has the same fields of the single document APIs
+// and the status code, the errors are reported without the root cause
+function toItem (item, statusCode, body) {
+  if (body.error === undefined) return { ...body, status: statusCode }
+  const { root_cause: rootCause, ...error } = body.error
+  return { _index: item.index, _id: item.id, status: statusCode, error }
+}
+
+// without a store every operation succeeds, and nothing is kept
+function statelessExecute () {
+  let seqNo = -1
+  return ({ action, index, id }) => {
+    seqNo += 1
+    const created = action === 'index' || action === 'create'
+    return {
+      statusCode: created ? 201 : 200,
+      body: {
+        _index: index,
+        _id: id,
+        _version: created ? 1 : 2,
+        result: created ? 'created' : `${action}d`,
+        _shards: { total: 2, successful: 1, failed: 0 },
+        _seq_no: seqNo,
+        _primary_term: 1
+      }
+    }
+  }
+}
+
+function isObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+module.exports = { bulkHandler, kExecute, kRefresh, presets }
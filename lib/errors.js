@@ -0,0 +1,82 @@
+/*
+ * Licensed to Elasticsearch B.V. under one or more contributor
+ * license agreements. See the NOTICE file distributed with
+ * this work for additional information regarding copyright
+ * ownership. Elasticsearch B.V. licenses this file to you under
+ * the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+'use strict'
+
+// an error that Elasticsearch itself would return, the backends
+// throw it from deep inside a request and turn it into a response
+class ElasticsearchError extends Error {
+  constructor (statusCode, type, reason, details = {}) {
+    super(reason)
+    this.name = 'ElasticsearchError'
+    this.statusCode = statusCode
+    this.type = type
+    this.details = details
+  }
+
+  toResponse () {
+    return errorResponse(this.statusCode, this.type, this.message, this.details)
+  }
+}
+
+// the same error shape of Elasticsearch, with the root cause
+// repeating the error since there is a single shard involved
+function errorResponse (statusCode, type, reason, details = {}) {
+  const error = { type, reason, ...details }
+  return {
+    statusCode,
+    body: {
+      error: { root_cause: [{ ...error }], ...error },
+      status: statusCode
+    }
+  }
+}
+
+// runs a handler that can throw the errors Elasticsearch
+// would return, and turns them into their response
+function catchErrors (fn) {
+  try {
+    return fn()
+  } catch (err) {
+    /* istanbul ignore if */
+    if (!(err instanceof ElasticsearchError)) throw err
+    return err.toResponse()
+  }
+}
+
+function indexNotFound (name) {
+  return new ElasticsearchError(404, 'index_not_found_exception', `no such index [${name}]`, {
+    'resource.type': 'index_or_alias',
+    'resource.id': name,
+    index_uuid: '_na_',
+    index: name
+  })
+}
+
+function parsingError (reason) {
+  return new ElasticsearchError(400, 'parsing_exception', reason)
+}
+
+module.exports = {
+  ElasticsearchError,
+  errorResponse,
+  catchErrors,
+  indexNotFound,
+  parsingError
+}
@@ -0,0 +1,139 @@
+/*
+ * Licensed to Elasticsearch B.V. under one or more contributor
+ * license agreements. See the NOTICE file distributed with
+ * this work for additional information regarding copyright
+ * ownership. Elasticsearch B.V. licenses this file to you under
+ * the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+'use strict'
+
+const { ElasticsearchError } = require('./errors')
+
+// the memory store has no mappings, the field types are inferred from the values
+// like the Elasticsearch dynamic mapping does: strings are analyzed text fields
+// with a `.keyword` sub-field, unless they look like a date
+const keywordSuffix = '.keyword'
+const datePattern = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/
+const dateMathUnits = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+}
+const timeUnits = { ms: 1, ...dateMathUnits }
+
+// returns the leaf values of a dotted field path, the arrays are flattened
+// and the path can go through both nested objects and dotted keys
+function getValues (source, field) {
+  if (field.endsWith(keywordSuffix)) {
+    return collect(source, field.slice(0, -keywordSuffix.length).split('.'), [])
+      .filter(value => typeof value === 'string')
+  }
+  return collect(source, field.split('.'), [])
+}
+
+function collect (value, parts, values) {
+  if (Array.isArray(value)) {
+    for (const item of value) collect(item, parts, values)
+  } else if (parts.length === 0) {
+    if (value !== null && value !== undefined) values.push(value)
+  } else if (value !== null && typeof value === 'object') {
+    for (let i = 1; i <= parts.length; i++) {
+      const key = parts.slice(0, i).join('.')
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        collect(value[key], parts.slice(i), values)
+      }
+    }
+  }
+  return values
+}
+
+function isText (field, value) {
+  return typeof value === 'string' && !field.endsWith(keywordSuffix) && !isDate(value)
+}
+
+function isDate (value) {
+  return typeof value === 'string' && datePattern.test(value)
+}
+
+// a lowercase standard-ish analyzer, good enough for unit tests
+function tokenize (text) {
+  return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+}
+
+// parses a date or a date math expression such as `now-1d`, which is
+// relative to the `now` clock, the epoch milliseconds are accepted as well
+function parseDate (value, now = Date.now) {
+  if (typeof value === 'number') return value
+  const math = /^now(?:([+-])(\d+)([smhdw]))?$/.exec(value)
+  if (math !== null) {
+    const offset = math[1] === undefined ? 0 : Number(math[2]) * dateMathUnits[math[3]]
+    return now() + (math[1] === '-' ? -offset : offset)
+  }
+  const date = isDate(value) ? Date.parse(value) : NaN
+  if (Number.isNaN(date)) {
+    throw new ElasticsearchError(400, 'parse_exception', `failed to parse date field [${value}]`)
+  }
+  return date
+}
+
+// the values a field can be sorted or aggregated on,
+// like Elasticsearch the text fields have no doc values
+function docValues (source, field, index) {
+  const values = getValues(source, field)
+  if (values.some(value => isText(field, value))) {
+    throw new ElasticsearchError(400, 'illegal_argument_exception', `Fielddata is disabled on [${field}] in [${index}]. ` +
+      'Text fields are not optimised for operations that require per-document field data like aggregations and sorting, ' +
+      `so these operations are disabled by default. Please use a keyword field instead. Alternatively, set fielddata=true on [${field}] ` +
+      'in order to load field data by uninverting the inverted index. Note that this can use significant memory.')
+  }
+  return values.map(value => isDate(value) ? parseDate(value) : value)
+}
+
+// turns a wildcard expression, with the `*` and `?` placeholders, into a regular expression
+function wildcard (pattern, caseInsensitive = false) {
+  const source = String(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.')
+  return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's')
+}
+
+function compareValues (a, b) {
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+// a time value of a setting, such as an interval or a keep alive
+function parseTimeValue (value, setting) {
+  const match = /^(\d+)(ms|s|m|h|d)$/.exec(value)
+  if (match === null) {
+    throw new ElasticsearchError(400, 'illegal_argument_exception',
+      `failed to parse setting [${setting}] with value [${value}] as a time value: unit is missing or unrecognized`)
+  }
+  return Number(match[1]) * timeUnits[match[2]]
+}
+
+module.exports = {
+  getValues,
+  isText,
+  isDate,
+  tokenize,
+  parseDate,
+  docValues,
+  wildcard,
+  compareValues,
+  parseTimeValue
+}
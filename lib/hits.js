@@ -0,0 +1,154 @@
+/*
+ * Licensed to Elasticsearch B.V. under one or more contributor
+ * license agreements. See the NOTICE file distributed with
+ * this work for additional information regarding copyright
+ * ownership. Elasticsearch B.V. licenses this file to you under
+ * the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+'use strict'
+
+const { ElasticsearchError, parsingError } = require('./errors')
+const { docValues, compareValues, wildcard } = require('./fields')
+
+// sorts the matching hits, which have the `doc`, `score` and `position` keys,
+// and formats the requested page the same way of the search response
+function collectHits (matched, request) {
+  const { sort, from, size } = request
+  const trackScores = sort === null || request.track_scores === true || sort.some(({ field }) => field === '_score')
+  let hits
+  if (sort === null) {
+    hits = matched.slice().sort((a, b) => b.score - a.score || a.position - b.position)
+  } else {
+    hits = matched.map(hit => ({ ...hit, sort: sort.map(({ field, order }) => sortValue(hit, field, order)) }))
+    hits.sort((a, b) => compareSort(a.sort, b.sort, sort) || a.position - b.position)
+  }
+
+  return {
+    max_score: trackScores && hits.length > 0 ? Math.max(...hits.map(hit => hit.score)) : null,
+    hits: hits.slice(from, from + size).map(hit => {
+      const result = { _index: hit.doc._index, _id: hit.doc._id, _score: trackScores ? hit.score : null }
+      if (request._source !== false) result._source = filterSource(hit.doc._source, request._source)
+      if (hit.sort !== undefined) result.sort = hit.sort
+      return result
+    })
+  }
+}
+
+// the `_source`, `_source_includes` and `_source_excludes` querystring parameters
+function sourceParam (querystring) {
+  if (querystring._source === undefined && querystring._source_includes === undefined && querystring._source_excludes === undefined) {
+    return undefined
+  }
+  const source = parseFlag(querystring._source)
+  if (typeof source === 'boolean') return source
+  return {
+    includes: list(querystring._source_includes || source),
+    excludes: list(querystring._source_excludes)
+  }
+}
+
+function parseSort (item) {
+  if (typeof item === 'string') {
+    return { field: item, order: item === '_score' ? 'desc' : 'asc' }
+  }
+  if (item === null || typeof item !== 'object' || Object.keys(item).length !== 1) {
+    throw parsingError('malformed sort format, within the sort array, an object, or an actual string are allowed')
+  }
+  const [field] = Object.keys(item)
+  const options = typeof item[field] === 'string' ? { order: item[field] } : item[field]
+  const order = options.order === undefined ? (field === '_score' ? 'desc' : 'asc') : options.order
+  if (order !== 'asc' && order !== 'desc') {
+    throw new ElasticsearchError(400, 'illegal_argument_exception', `Unknown SortOrder [${order}]`)
+  }
+  return { field, order }
+}
+
+// the multi-valued fields are sorted by their lowest value in ascending order and
+// by their highest one in descending order, the documents without a value go last
+function sortValue (hit, field, order) {
+  if (field === '_score') return hit.score
+  if (field === '_doc') return hit.position
+  const values = docValues(hit.doc._source, field, hit.doc._index).sort(compareValues)
+  if (values.length === 0) return null
+  return order === 'asc' ? values[0] : values[values.length - 1]
+}
+
+function compareSort (a, b, sort) {
+  for (let i = 0; i < sort.length; i++) {
+    const comparison = a[i] === null || b[i] === null
+      ? (a[i] === null) - (b[i] === null)
+      : compareValues(a[i], b[i]) * (sort[i].order === 'asc' ? 1 : -1)
+    if (comparison !== 0) return comparison
+  }
+  return 0
+}
+
+// normalizes the `_source` option into the includes and excludes patterns,
+// or false if the source must not be returned
+function parseSource (source) {
+  if (source === false) return false
+  if (source === undefined || source === true) return { includes: [], excludes: [] }
+  if (typeof source === 'string' || Array.isArray(source)) return { includes: list(source), excludes: [] }
+  return {
+    includes: list(source.includes || source.include),
+    excludes: list(source.excludes || source.exclude)
+  }
+}
+
+function filterSource (source, { includes, excludes }) {
+  if (includes.length === 0 && excludes.length === 0) return structuredClone(source)
+  const included = includes.map(pattern => wildcard(pattern))
+  const excluded = excludes.map(pattern => wildcard(pattern))
+  return filter(source, '', includes.length === 0) || {}
+
+  function filter (value, path, isIncluded) {
+    if (Array.isArray(value)) {
+      const items = value.map(item => filter(item, path, isIncluded)).filter(item => item !== undefined)
+      return isIncluded || items.length > 0 ? items : undefined
+    }
+    if (value === null || typeof value !== 'object') {
+      return isIncluded ? value : undefined
+    }
+    const result = {}
+    for (const key of Object.keys(value)) {
+      const child = path === '' ? key : `${path}.${key}`
+      if (excluded.some(regex => regex.test(child))) continue
+      const filtered = filter(value[key], child, isIncluded || included.some(regex => regex.test(child)))
+      if (filtered !== undefined) result[key] = filtered
+    }
+    return isIncluded || Object.keys(result).length > 0 ? result : undefined
+  }
+}
+
+function parseFlag (value) {
+  if (value === 'true' || value === '') return true
+  if (value === 'false') return false
+  return value
+}
+
+function list (value) {
+  if (value === undefined) return []
+  return Array.isArray(value) ? value : String(value).split(',')
+}
+
+module.exports = {
+  collectHits,
+  sourceParam,
+  parseSort,
+  compareSort,
+  parseSource,
+  parseFlag,
+  filterSource
+}
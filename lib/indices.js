@@ -0,0 +1,483 @@
+/*
+ * Licensed to Elasticsearch B.V. under one or more contributor
+ * license agreements. See the NOTICE file distributed with
+ * this work for additional information regarding copyright
+ * ownership. Elasticsearch B.V. licenses this file to you under
+ * the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+'use strict'
+
+const { randomBytes } = require('crypto')
+const { ElasticsearchError, indexNotFound } = require('./errors')
+const { wildcard } = require('./fields')
+
+const defaultSettings = {
+  'index.number_of_shards': '1',
+  'index.number_of_replicas': '1'
+}
+// the settings that can only be set when the index is created
+const staticSettings = ['index.number_of_shards']
+const finalSettings = ['index.uuid', 'index.provided_name', 'index.creation_date']
+const aliasProperties = ['filter', 'index_routing', 'search_routing', 'is_write_index', 'is_hidden']
+
+// the clock of the indices, which dates their creation and their refreshes
+const kNow = Symbol('elasticsearch-mock-now')
+
+function createIndices (now) {
+  const indices = new Map()
+  indices[kNow] = now
+  return indices
+}
+
+// the metadata of the indices, the documents are kept by the memory store
+// in the `documents` map and numbered with the `seqNo` sequence, while
+// `searchable` is the copy of the documents at the last refresh
+function createIndex (indices, name, body = {}) {
+  const invalid = reason => new ElasticsearchError(400, 'invalid_index_name_exception', `Invalid index name [${name}], ${reason}`, {
+    index_uuid: '_na_',
+    index: name
+  })
+  if (name !== name.toLowerCase()) throw invalid('must be lowercase')
+  if (/^[_\-+]/.test(name)) throw invalid('must not start with \'_\', \'-\', or \'+\'')
+  if (indices.has(name)) {
+    const { uuid } = indices.get(name)
+    throw new ElasticsearchError(400, 'resource_already_exists_exception', `index [${name}/${uuid}] already exists`, {
+      index_uuid: uuid,
+      index: name
+    })
+  }
+  if (aliasIndices(indices, name).length > 0) throw invalid('already exists as alias')
+
+  const uuid = randomBytes(16).toString('base64url').slice(0, 22)
+  const index = {
+    name,
+    uuid,
+    settings: {
+      ...defaultSettings,
+      ...flattenSettings(body.settings),
+      'index.uuid': uuid,
+      'index.provided_name': name,
+      'index.creation_date': String(indices[kNow]())
+    },
+    mappings: {},
+    aliases: new Map(),
+    documents: new Map(),
+    searchable: new Map(),
+    refreshedAt: indices[kNow](),
+    seqNo: -1
+  }
+  if (body.mappings !== undefined) mergeMappings(index.mappings, body.mappings)
+  for (const alias of Object.keys(body.aliases || {})) {
+    validateAlias(indices, alias)
+    index.aliases.set(alias, aliasMetadata(body.aliases[alias]))
+  }
+  indices.set(name, index)
+  return index
+}
+
+// the index of a single document API, an alias must point to one index or have a write index
+function getIndex (indices, name, create) {
+  const aliased = aliasIndices(indices, name)
+  if (aliased.length === 0) {
+    if (indices.has(name)) return indices.get(name)
+    return create ? createIndex(indices, name) : null
+  }
+
+  const target = aliased.length === 1 && aliased[0].aliases.get(name).is_write_index !== false
+    ? aliased[0]
+    : aliased.find(index => index.aliases.get(name).is_write_index === true)
+  if (target !== undefined) return target
+  throw new ElasticsearchError(400, 'illegal_argument_exception', create
+    ? `no write index is defined for alias [${name}]. The write index may be explicitly disabled using is_write_index=false ` +
+      'or the alias points to multiple indices without one being designated as a write index'
+    : `alias [${name}] has more than one index associated with it [${aliased.map(index => index.name).join(', ')}], can't execute a single index op`)
+}
+
+// resolves a comma separated list of index names, aliases and wildcard expressions,
+// a missing index is an error unless it is a wildcard or the unavailable ones are ignored
+function resolveIndices (indices, expression, ignoreUnavailable) {
+  const names = new Set()
+  for (const part of expression.split(',')) {
+    if (part === '_all' || part.includes('*')) {
+      const regex = wildcard(part === '_all' ? '*' : part)
+      for (const index of indices.values()) {
+        if (regex.test(index.name) || Array.from(index.aliases.keys()).some(alias => regex.test(alias))) {
+          names.add(index.name)
+        }
+      }
+    } else if (indices.has(part)) {
+      names.add(part)
+    } else if (aliasIndices(indices, part).length > 0) {
+      for (const index of aliasIndices(indices, part)) names.add(index.name)
+    } else if (!ignoreUnavailable) {
+      throw indexNotFound(part)
+    }
+  }
+  return Array.from(names, name => indices.get(name))
+}
+
+function aliasIndices (indices, alias) {
+  return Array.from(indices.values()).filter(index => index.aliases.has(alias))
+}
+
+function putIndex (indices, params) {
+  const [, name] = params.path.split('/')
+  if (!isIndexExpression(name)) return null
+  createIndex(indices, name, isObject(params.body) ? params.body : {})
+  return { statusCode: 200, body: { acknowledged: true, shards_acknowledged: true, index: name } }
+}
+
+// like in Elasticsearch, the indices can only be deleted by their name
+function deleteIndex (indices, params) {
+  const [, expression] = params.path.split('/')
+  if (!isIndexExpression(expression)) return null
+  for (const part of expression.split(',')) {
+    if (part === '_all' || part.includes('*')) {
+      throw new ElasticsearchError(400, 'illegal_argument_exception', 'Wildcard expressions or all indices are not allowed')
+    }
+    if (!indices.has(part) && aliasIndices(indices, part).length > 0) {
+      throw new ElasticsearchError(400, 'illegal_argument_exception',
+        `The provided expression [${part}] matches an alias, specify the corresponding concrete indices instead.`)
+    }
+  }
+  for (const index of resolveIndices(indices, expression, params.querystring.ignore_unavailable === 'true')) {
+    indices.delete(index.name)
+  }
+  return { statusCode: 200, body: { acknowledged: true } }
+}
+
+function getIndexInfo (indices, params) {
+  const [, expression] = params.path.split('/')
+  if (!isIndexExpression(expression)) return null
+  if (params.method === 'HEAD') {
+    try {
+      return { statusCode: resolveIndices(indices, expression, false).length > 0 ? 200 : 404, body: '' }
+    } catch (err) {
+      return { statusCode: 404, body: '' }
+    }
+  }
+  return describe(indices, params, index => ({
+    aliases: aliasesObject(index.aliases),
+    mappings: structuredClone(index.mappings),
+    settings: formatSettings(index.settings, params.querystring)
+  }))
+}
+
+function getMapping (indices, params) {
+  return describe(indices, params, index => ({ mappings: structuredClone(index.mappings) }))
+}
+
+function putMapping (indices, params) {
+  const targets = targetIndices(indices, params)
+  const body = isObject(params.body) ? params.body : {}
+  // the changes are checked on a copy first, so that a conflict changes nothing
+  for (const index of targets) mergeMappings(structuredClone(index.mappings), body)
+  for (const index of targets) mergeMappings(index.mappings, body)
+  return { statusCode: 200, body: { acknowledged: true } }
+}
+
+function getSettings (indices, params) {
+  return describe(indices, params, index => ({ settings: formatSettings(index.settings, params.querystring) }))
+}
+
+function putSettings (indices, params) {
+  const targets = targetIndices(indices, params)
+  const body = isObject(params.body) ? params.body : {}
+  const settings = flattenSettings(body.settings === undefined ? body : body.settings)
+  for (const key of Object.keys(settings)) {
+    if (finalSettings.includes(key)) {
+      throw new ElasticsearchError(400, 'illegal_argument_exception', `final index setting [${key}], not updateable`)
+    }
+  }
+  const updated = Object.keys(settings).filter(key => staticSettings.includes(key))
+  if (updated.length > 0) {
+    throw new ElasticsearchError(400, 'illegal_argument_exception',
+      `Can't update non dynamic settings [[${updated.join(', ')}]] for open indices [${targets.map(index => `[${index.name}/${index.uuid}]`).join(', ')}]`)
+  }
+  for (const index of targets) {
+    for (const key of Object.keys(settings)) {
+      // a null value restores the default
+      if (settings[key] !== null) {
+        index.settings[key] = settings[key]
+      } else if (defaultSettings[key] !== undefined) {
+        index.settings[key] = defaultSettings[key]
+      } else {
+        delete index.settings[key]
+      }
+    }
+  }
+  return { statusCode: 200, body: { acknowledged: true } }
+}
+
+function putAlias (indices, params) {
+  const [, expression, , alias] = params.path.split('/')
+  const targets = resolveIndices(indices, expression, false)
+  validateAlias(indices, alias)
+  const metadata = aliasMetadata(isObject(params.body) ? params.body : {})
+  for (const index of targets) index.aliases.set(alias, metadata)
+  return { statusCode: 200, body: { acknowledged: true } }
+}
+
+function deleteAlias (indices, params) {
+  const [, expression, , names] = params.path.split('/')
+  const targets = resolveIndices(indices, expression, false)
+  const patterns = names.split(',').map(name => wildcard(name === '_all' ? '*' : name))
+  let removed = 0
+  for (const index of targets) {
+    for (const alias of Array.from(index.aliases.keys())) {
+      if (patterns.some(regex => regex.test(alias))) {
+        index.aliases.delete(alias)
+        removed += 1
+      }
+    }
+  }
+  if (removed === 0) throw aliasesNotFound(names)
+  return { statusCode: 200, body: { acknowledged: true } }
+}
+
+// GET and HEAD /_alias, /_alias/:name, /:index/_alias and /:index/_alias/:name
+function getAlias (indices, params) {
+  const segments = params.path.split('/')
+  const [expression, names] = segments[1] === '_alias' ? ['_all', segments[2]] : [segments[1], segments[3]]
+  const patterns = names === undefined ? null : names.split(',').map(name => wildcard(name === '_all' ? '*' : name))
+
+  const body = {}
+  let found = 0
+  for (const index of resolveIndices(indices, expression, false)) {
+    const aliases = {}
+    for (const [alias, metadata] of index.aliases) {
+      if (patterns === null || patterns.some(regex => regex.test(alias))) {
+        aliases[alias] = structuredClone(metadata)
+        found += 1
+      }
+    }
+    if (patterns === null || Object.keys(aliases).length > 0) body[index.name] = { aliases }
+  }
+  const missing = patterns !== null && found === 0
+  if (params.method === 'HEAD') return { statusCode: missing ? 404 : 200, body: '' }
+  if (missing) return { statusCode: 404, body: { error: `alias [${names}] missing`, status: 404 } }
+  return { statusCode: 200, body }
+}
+
+// the actions are applied to a copy of the aliases,
+// which replaces the current ones only if every action succeeds
+function updateAliases (indices, params) {
+  const actions = isObject(params.body) && Array.isArray(params.body.actions) ? params.body.actions : []
+  if (actions.length === 0) {
+    throw new ElasticsearchError(400, 'action_request_validation_exception', 'Validation Failed: 1: Must specify at least one alias action;')
+  }
+
+  const staged = new Map(Array.from(indices.values(), index => [index.name, new Map(index.aliases)]))
+  const removed = new Set()
+  for (const action of actions) {
+    const [type] = Object.keys(action)
+    if (!['add', 'remove', 'remove_index'].includes(type)) {
+      throw new ElasticsearchError(400, 'illegal_argument_exception', `[aliases] unknown field [${type}]`)
+    }
+    const options = isObject(action[type]) ? action[type] : {}
+    const expression = [].concat(options.indices || options.index || []).join(',')
+    if (expression === '') {
+      throw new ElasticsearchError(400, 'illegal_argument_exception', `[${type}] requires an [index] or [indices]`)
+    }
+    const targets = resolveIndices(indices, expression, false)
+    const aliases = [].concat(options.aliases || options.alias || [])
+    if (type === 'add') {
+      for (const name of aliases) validateAlias(indices, name)
+      for (const target of targets) {
+        for (const name of aliases) staged.get(target.name).set(name, aliasMetadata(options))
+      }
+    } else if (type === 'remove') {
+      for (const name of aliases) {
+        const existing = targets.filter(target => staged.get(target.name).has(name))
+        if (existing.length === 0 && options.must_exist !== false) throw aliasesNotFound(name)
+        for (const target of existing) staged.get(target.name).delete(name)
+      }
+    } else {
+      for (const target of targets) removed.add(target.name)
+    }
+  }
+
+  for (const [name, aliases] of staged) indices.get(name).aliases = aliases
+  for (const name of removed) indices.delete(name)
+  return { statusCode: 200, body: { acknowledged: true } }
+}
+
+function refresh (indices, params) {
+  const [, name] = params.path.split('/')
+  const targets = resolveIndices(indices, name === '_refresh' ? '_all' : name, params.querystring.ignore_unavailable === 'true')
+  for (const target of targets) refreshIndex(indices, target)
+  return { statusCode: 200, body: { _shards: { total: targets.length * 2, successful: targets.length, failed: 0 } } }
+}
+
+// the revisions of the documents are never changed in place,
+// so a copy of the map is a snapshot of the index
+function refreshIndex (indices, index) {
+  index.searchable = new Map(index.documents)
+  index.refreshedAt = indices[kNow]()
+}
+
+// the refresh of an index with an interval, dated at the boundary of the last
+// elapsed interval, so a document written since then waits for the next one
+function scheduledRefresh (indices, index, interval) {
+  const elapsed = indices[kNow]() - index.refreshedAt
+  if (elapsed < interval) return
+  index.searchable = new Map(index.documents)
+  index.refreshedAt += Math.floor(elapsed / interval) * interval
+}
+
+// the refresh parameter of the write APIs, `wait_for` is the same
+// as `true` because the refresh is applied right away
+function refreshParam (querystring) {
+  const { refresh = 'false' } = querystring
+  if (refresh !== 'true' && refresh !== 'false' && refresh !== 'wait_for' && refresh !== '') {
+    throw new ElasticsearchError(400, 'illegal_argument_exception', `Unknown value for refresh: [${refresh}].`)
+  }
+  return refresh !== 'false'
+}
+
+// the indices of the path, or every index if there is none
+function targetIndices (indices, params) {
+  const [, name] = params.path.split('/')
+  return resolveIndices(indices, name.startsWith('_') ? '_all' : name, params.querystring.ignore_unavailable === 'true')
+}
+
+function describe (indices, params, fn) {
+  const body = {}
+  for (const index of targetIndices(indices, params)) body[index.name] = fn(index)
+  return { statusCode: 200, body }
+}
+
+// the new fields are added to the mappings, while
+// the type of the existing ones cannot be changed
+function mergeMappings (mappings, changes, path = '') {
+  for (const key of Object.keys(changes)) {
+    if (key !== 'properties' || !isObject(mappings.properties)) {
+      mappings[key] = structuredClone(changes[key])
+      continue
+    }
+    for (const field of Object.keys(changes.properties)) {
+      const current = mappings.properties[field]
+      const change = changes.properties[field]
+      if (current === undefined) {
+        mappings.properties[field] = structuredClone(change)
+        continue
+      }
+      const currentType = current.type || 'object'
+      const changeType = change.type || 'object'
+      if (currentType !== changeType) {
+        throw new ElasticsearchError(400, 'illegal_argument_exception',
+          `mapper [${path}${field}] cannot be changed from type [${currentType}] to [${changeType}]`)
+      }
+      mergeMappings(current, change, `${path}${field}.`)
+    }
+  }
+  return mappings
+}
+
+// the settings are kept with their flat name, with the `index.` prefix and a string value
+function flattenSettings (settings, prefix = '', flat = {}) {
+  for (const key of Object.keys(settings || {})) {
+    const value = settings[key]
+    const name = prefix === '' && !key.startsWith('index.') && key !== 'index' ? `index.${key}` : `${prefix}${key}`
+    if (isObject(value)) {
+      flattenSettings(value, `${name}.`, flat)
+    } else {
+      flat[name] = value === null ? null : Array.isArray(value) ? value.map(String) : String(value)
+    }
+  }
+  return flat
+}
+
+function formatSettings (settings, querystring) {
+  if (querystring.flat_settings === 'true') return { ...settings }
+  const nested = {}
+  for (const key of Object.keys(settings).sort()) {
+    const path = key.split('.')
+    let target = nested
+    for (const segment of path.slice(0, -1)) {
+      target = target[segment] = target[segment] || {}
+    }
+    target[path[path.length - 1]] = settings[key]
+  }
+  return nested
+}
+
+function validateAlias (indices, alias) {
+  if (indices.has(alias)) {
+    throw new ElasticsearchError(400, 'invalid_alias_name_exception',
+      `Invalid alias name [${alias}]: an index or data stream exists with the same name as the alias`)
+  }
+}
+
+// the routing option sets both the index and the search routing
+function aliasMetadata (options) {
+  const metadata = {}
+  const source = { index_routing: options.routing, search_routing: options.routing, ...options }
+  for (const key of aliasProperties) {
+    if (source[key] !== undefined) metadata[key] = structuredClone(source[key])
+  }
+  return metadata
+}
+
+function aliasesObject (aliases) {
+  const result = {}
+  for (const [alias, metadata] of aliases) result[alias] = structuredClone(metadata)
+  return result
+}
+
+function aliasesNotFound (names) {
+  return new ElasticsearchError(404, 'aliases_not_found_exception', `aliases [${names}] missing`, {
+    'resource.type': 'aliases',
+    'resource.id': names
+  })
+}
+
+function isObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// the single segment paths that are not an index expression belong to other APIs,
+// such as `/` or `/_stats`, and are left to the mocks and the unmatched requests handling
+function isIndexExpression (expression) {
+  return expression !== '' && !expression.startsWith('_')
+}
+
+// the routes of the index management APIs, as method, path and handler
+const routes = [
+  ['PUT', '/:index', putIndex],
+  ['DELETE', '/:index', deleteIndex],
+  [['GET', 'HEAD'], '/:index', getIndexInfo],
+  ['GET', ['/_mapping', '/:index/_mapping'], getMapping],
+  [['PUT', 'POST'], '/:index/_mapping', putMapping],
+  ['GET', ['/_settings', '/:index/_settings'], getSettings],
+  ['PUT', ['/_settings', '/:index/_settings'], putSettings],
+  [['PUT', 'POST'], ['/:index/_alias/:name', '/:index/_aliases/:name'], putAlias],
+  ['DELETE', ['/:index/_alias/:name', '/:index/_aliases/:name'], deleteAlias],
+  [['GET', 'HEAD'], ['/_alias', '/_alias/:name', '/:index/_alias', '/:index/_alias/:name'], getAlias],
+  ['POST', '/_aliases', updateAliases],
+  [['GET', 'POST'], ['/_refresh', '/:index/_refresh'], refresh]
+]
+
+module.exports = {
+  createIndex,
+  createIndices,
+  getIndex,
+  kNow,
+  refreshIndex,
+  refreshParam,
+  resolveIndices,
+  scheduledRefresh,
+  routes
+}
@@ -0,0 +1,394 @@
+/*
+ * Licensed to Elasticsearch B.V. under one or more contributor
+ * license agreements. See the NOTICE file distributed with
+ * this work for additional information regarding copyright
+ * ownership. Elasticsearch B.V. licenses this file to you under
+ * the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+'use strict'
+
+const { randomBytes } = require('crypto')
+const equal = require('fast-deep-equal')
+const { ElasticsearchError, catchErrors, errorResponse, indexNotFound } = require('./errors')
+const { search } = require('./search')
+const { filterSource, parseSource, sourceParam } = require('./hits')
+const { bulkHandler, kExecute, kRefresh } = require('./bulk')
+const { createIndices, getIndex, kNow, refreshIndex, refreshParam, resolveIndices, scheduledRefresh, routes: indexRoutes } = require('./indices')
+
+const kIndices = Symbol('elasticsearch-mock-indices')
+// the request path as the client encoded it, since the decoded
+// path splits an id that contains a slash in two segments
+const kRawPath = Symbol('elasticsearch-mock-raw-path')
+const kRefreshPolicy = Symbol('elasticsearch-mock-refresh-policy')
+
+const primaryTerm = 1
+
+const versionTypes = ['internal', 'external', 'external_gte']
+
+const executors = {
+  index: (store, params) => indexDocument(store, params, false),
+  create: (store, params) => indexDocument(store, params, true),
+  update: updateDocument,
+  delete: deleteDocument
+}
+
+// with the `manual` refresh policy the search sees the documents of the last refresh,
+// and with an interval the indices are refreshed as well every time it elapses on the `now` clock
+class MemoryStore {
+  constructor ({ refresh = 'immediate', now = Date.now }) {
+    this[kIndices] = createIndices(now)
+    this[kRefreshPolicy] = refresh
+  }
+
+  routes () {
+    const route = (method, path, fn) => ({ method, path, handler: params => handle(this, params, fn) })
+    const bulk = bulkHandler({ store: this })
+    return [
+      route(['PUT', 'POST'], '/:index/_doc/:id', refreshing(executors.index)),
+      route('POST', '/:index/_doc', refreshing(executors.index)),
+      route(['PUT', 'POST'], '/:index/_create/:id', refreshing(executors.create)),
+      route(['GET', 'HEAD'], '/:index/_doc/:id', getDocument),
+      route('DELETE', '/:index/_doc/:id', refreshing(executors.delete)),
+      route('POST', '/:index/_update/:id', refreshing(executors.update)),
+      route(['GET', 'POST'], ['/_search', '/:index/_search'], searchDocuments),
+      route(['PUT', 'POST'], ['/_bulk', '/:index/_bulk'], (store, params) => bulk(params)),
+      ...indexRoutes.map(([method, path, fn]) => route(method, path, (store, params) => fn(store[kIndices], params)))
+    ]
+  }
+
+  // executes a single operation of a bulk request with the handler of the
+  // equivalent API, which reads the index and the id from the path and
+  // the concurrency control metadata of the action from the querystring
+  [kExecute] ({ action, index, id, document }, querystring) {
+    const params = {
+      method: 'POST',
+      path: `/${index}/_doc/${id}`,
+      [kRawPath]: `/${encodeURIComponent(index)}/_doc/${encodeURIComponent(id)}`,
+      querystring,
+      body: document
+    }
+    return handle(this, params, executors[action])
+  }
+
+  [kRefresh] (names) {
+    for (const name of new Set(names)) {
+      const index = this[kIndices].get(name)
+      if (index !== undefined) refreshIndex(this[kIndices], index)
+    }
+  }
+
+  documents (index) {
+    const target = this[kIndices].get(index)
+    if (target === undefined) return []
+    return Array.from(target.documents, ([id, doc]) => ({ _id: id, _source: structuredClone(doc._source) }))
+  }
+
+  clear () {
+    this[kIndices].clear()
+    return this
+  }
+}
+
+// the handlers can throw the errors Elasticsearch would return,
+// and run after the refreshes of the interval that are due
+function handle (store, params, fn) {
+  const policy = store[kRefreshPolicy]
+  if (typeof policy === 'number') {
+    for (const index of store[kIndices].values()) scheduledRefresh(store[kIndices], index, policy)
+  }
+  return catchErrors(() => fn(store, params))
+}
+
+// the single document writes with the refresh parameter
+// refresh the index they have written to
+function refreshing (fn) {
+  return (store, params) => {
+    const refresh = refreshParam(params.querystring)
+    const response = fn(store, params)
+    if (refresh && response.body.error === undefined) store[kRefresh]([response.body._index])
+    return response
+  }
+}
+
+function indexDocument (store, params, create) {
+  const [name, id = randomId(20)] = documentPath(params)
+  const { op_type: opType = create ? 'create' : 'index' } = params.querystring
+  if (opType !== 'index' && opType !== 'create') {
+    return errorResponse(400, 'illegal_argument_exception', `opType must be 'create' or 'index', found: [${opType}]`)
+  }
+  if (!isObject(params.body)) {
+    return errorResponse(400, 'action_request_validation_exception', 'Validation Failed: 1: source is missing;')
+  }
+
+  const versioning = parseVersioning(params.querystring)
+  const index = getIndex(store[kIndices], name, true)
+  const current = index.documents.get(id)
+  if (current !== undefined && opType === 'create') {
+    throw versionConflict(index, id, `document already exists (current version [${current._version}])`)
+  }
+  const doc = write(index, id, structuredClone(params.body), checkVersion(index, id, current, versioning))
+  return writeResponse(current === undefined ? 201 : 200, index, id, doc, current === undefined ? 'created' : 'updated')
+}
+
+function getDocument (store, params) {
+  const [name, id] = documentPath(params)
+  const index = getIndex(store[kIndices], name, false)
+  const isHead = params.method === 'HEAD'
+  if (index === null) {
+    if (isHead) return { statusCode: 404, body: '' }
+    throw indexNotFound(name)
+  }
+
+  const doc = index.documents.get(id)
+  if (isHead) {
+    return { statusCode: doc === undefined ? 404 : 200, body: '' }
+  } else if (doc === undefined) {
+    return { statusCode: 404, body: { _index: index.name, _id: id, found: false } }
+  }
+  const body = {
+    _index: index.name,
+    _id: id,
+    _version: doc._version,
+    _seq_no: doc._seq_no,
+    _primary_term: doc._primary_term,
+    found: true
+  }
+  const source = parseSource(sourceParam(params.querystring))
+  if (source !== false) body._source = filterSource(doc._source, source)
+  return { statusCode: 200, body }
+}
+
+// like the other write operations, deleting
+// a document creates the index if it is missing
+function deleteDocument (store, params) {
+  const [name, id] = documentPath(params)
+  const versioning = parseVersioning(params.querystring)
+  const index = getIndex(store[kIndices], name, true)
+  const current = index.documents.get(id)
+  const version = checkVersion(index, id, current, versioning)
+  index.seqNo += 1
+  if (current === undefined) {
+    const doc = { _version: version, _seq_no: index.seqNo, _primary_term: primaryTerm }
+    return writeResponse(404, index, id, doc, 'not_found')
+  }
+
+  index.documents.delete(id)
+  const doc = { ...current, _version: version, _seq_no: index.seqNo }
+  return writeResponse(200, index, id, doc, 'deleted')
+}
+
+function updateDocument (store, params) {
+  const [name, id] = documentPath(params)
+  const body = isObject(params.body) ? params.body : {}
+  if (body.script !== undefined) {
+    return errorResponse(400, 'illegal_argument_exception', 'Scripted updates are not supported by the memory store')
+  }
+  if (body.doc === undefined) {
+    return errorResponse(400, 'action_request_validation_exception', 'Validation Failed: 1: script or doc is missing;')
+  }
+  const { version_type: versionType = 'internal' } = params.querystring
+  if (versionType !== 'internal') {
+    throw validationFailed(`version type [${versionType}] is not supported by the update API`)
+  }
+
+  const versioning = parseVersioning(params.querystring)
+  const index = getIndex(store[kIndices], name, true)
+  const current = index.documents.get(id)
+  const version = checkVersion(index, id, current, versioning)
+  if (current === undefined) {
+    const upsert = body.doc_as_upsert === true ? body.doc : body.upsert
+    if (upsert === undefined) {
+      return errorResponse(404, 'document_missing_exception', `[${id}]: document missing`, {
+        index_uuid: index.uuid,
+        shard: '0',
+        index: index.name
+      })
+    }
+    return writeResponse(201, index, id, write(index, id, structuredClone(upsert), version), 'created')
+  }
+
+  const source = merge(structuredClone(current._source), structuredClone(body.doc))
+  if (body.detect_noop !== false && equal(source, current._source)) {
+    return {
+      statusCode: 200,
+      body: {
+        _index: index.name,
+        _id: id,
+        _version: current._version,
+        result: 'noop',
+        _shards: { total: 0, successful: 0, failed: 0 },
+        _seq_no: current._seq_no,
+        _primary_term: current._primary_term
+      }
+    }
+  }
+  return writeResponse(200, index, id, write(index, id, source, version), 'updated')
+}
+
+function searchDocuments (store, params) {
+  const [, name] = params.path.split('/')
+  const indices = resolveIndices(store[kIndices], name === '_search' ? '_all' : name, params.querystring.ignore_unavailable === 'true')
+  const documents = []
+  for (const index of indices) {
+    for (const [id, doc] of searchableDocuments(store, index)) {
+      documents.push({ _index: index.name, _id: id, _source: doc._source })
+    }
+  }
+  return { statusCode: 200, body: search(documents, params, indices.length, store[kIndices][kNow]) }
+}
+
+// the search is near real-time unless the documents are visible right away,
+// while the get API always reads the last revision
+function searchableDocuments (store, index) {
+  return store[kRefreshPolicy] === 'immediate' ? index.documents : index.searchable
+}
+
+// the params built outside of a request, such as the
+// ones given to `mock.get`, only have the plain path
+function rawPath (params) {
+  return params[kRawPath] === undefined ? params.path : params[kRawPath]
+}
+
+// the index and the id of a single document API
+function documentPath (params) {
+  const [, name, , id] = rawPath(params).split('/')
+  return [decodeURIComponent(name), id === undefined ? undefined : decodeURIComponent(id)]
+}
+
+// stores a new revision of the document with the next
+// sequence number of the index and the given version
+function write (index, id, source, version) {
+  index.seqNo += 1
+  const doc = {
+    _source: source,
+    _version: version,
+    _seq_no: index.seqNo,
+    _primary_term: primaryTerm
+  }
+  index.documents.set(id, doc)
+  return doc
+}
+
+// objects are merged recursively, any other value (arrays included) is replaced
+function merge (target, source) {
+  for (const key of Object.keys(source)) {
+    if (isObject(target[key]) && isObject(source[key])) {
+      merge(target[key], source[key])
+    } else {
+      target[key] = source[key]
+    }
+  }
+  return target
+}
+
+function writeResponse (statusCode, index, id, doc, result) {
+  return {
+    statusCode,
+    body: {
+      _index: index.name,
+      _id: id,
+      _version: doc._version,
+      result,
+      _shards: shards(),
+      _seq_no: doc._seq_no,
+      _primary_term: doc._primary_term
+    }
+  }
+}
+
+// the concurrency control parameters of the write APIs, Elasticsearch
+// only accepts an explicit version with the external version types
+function parseVersioning (querystring) {
+  const {
+    if_seq_no: ifSeqNo,
+    if_primary_term: ifPrimaryTerm,
+    version,
+    version_type: versionType = 'internal'
+  } = querystring
+  if (ifSeqNo !== undefined && ifPrimaryTerm === undefined) {
+    throw validationFailed('ifSeqNo is set, but primary term is [0]')
+  }
+  if (ifPrimaryTerm !== undefined && ifSeqNo === undefined) {
+    throw validationFailed('ifPrimaryTerm is set, but seqNo is [-2]')
+  }
+  if (!versionTypes.includes(versionType)) {
+    throw new ElasticsearchError(400, 'illegal_argument_exception', `No version type match [${versionType}]`)
+  }
+  if (versionType === 'internal' && version !== undefined) {
+    throw validationFailed('internal versioning can not be used for optimistic concurrency control. ' +
+      'Please use `if_seq_no` and `if_primary_term` instead')
+  }
+  if (versionType !== 'internal' && version === undefined) {
+    throw validationFailed(`illegal version value [-3] for version type [${versionType.toUpperCase()}]`)
+  }
+  return {
+    ifSeqNo: ifSeqNo === undefined ? undefined : Number(ifSeqNo),
+    ifPrimaryTerm: ifPrimaryTerm === undefined ? undefined : Number(ifPrimaryTerm),
+    version: version === undefined ? undefined : Number(version),
+    versionType
+  }
+}
+
+// returns the version of the next revision of the document,
+// or throws the conflict with its current revision
+function checkVersion (index, id, current, { ifSeqNo, ifPrimaryTerm, version, versionType }) {
+  if (ifSeqNo !== undefined) {
+    const required = `required seqNo [${ifSeqNo}], primary term [${ifPrimaryTerm}].`
+    if (current === undefined) {
+      throw versionConflict(index, id, `${required} but no document was found`)
+    }
+    if (current._seq_no !== ifSeqNo || current._primary_term !== ifPrimaryTerm) {
+      throw versionConflict(index, id,
+        `${required} current document has seqNo [${current._seq_no}] and primary term [${current._primary_term}]`)
+    }
+  }
+
+  if (versionType === 'internal') {
+    return current === undefined ? 1 : current._version + 1
+  }
+  if (current !== undefined && (current._version > version || (current._version === version && versionType === 'external'))) {
+    const comparison = versionType === 'external' ? 'higher or equal to' : 'higher than'
+    throw versionConflict(index, id, `current version [${current._version}] is ${comparison} the one provided [${version}]`)
+  }
+  return version
+}
+
+function versionConflict (index, id, reason) {
+  return new ElasticsearchError(409, 'version_conflict_engine_exception', `[${id}]: version conflict, ${reason}`, {
+    index_uuid: index.uuid,
+    shard: '0',
+    index: index.name
+  })
+}
+
+function validationFailed (reason) {
+  return new ElasticsearchError(400, 'action_request_validation_exception', `Validation Failed: 1: ${reason};`)
+}
+
+// a single primary shard with one unassigned replica,
+// which is what a single node cluster reports
+function shards () {
+  return { total: 2, successful: 1, failed: 0 }
+}
+
+function randomId (length) {
+  return randomBytes(length).toString('base64url').slice(0, length)
+}
+
+function isObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+module.exports = { MemoryStore, kRawPath, rawPath }
@@ -0,0 +1,203 @@
+/*
+ * Licensed to Elasticsearch B.V. under one or more contributor
+ * license agreements. See the NOTICE file distributed with
+ * this work for additional information regarding copyright
+ * ownership. Elasticsearch B.V. licenses this file to you under
+ * the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+'use strict'
+
+const { randomBytes } = require('crypto')
+const { ElasticsearchError, catchErrors } = require('./errors')
+const { parseTimeValue } = require('./fields')
+const { parseSort, compareSort } = require('./hits')
+
+const kHits = Symbol('elasticsearch-mock-hits')
+const kCursors = Symbol('elasticsearch-mock-cursors')
+const kNow = Symbol('elasticsearch-mock-now')
+
+// the name of the keep alive parameter, which appears in the errors
+const keepAliveSettings = { scroll: 'scroll', pit: 'keep_alive' }
+
+// serves a fixed result set page by page, with the scroll, search_after and
+// point in time APIs, every scroll and point in time expires after its keep alive,
+// measured with the `now` clock
+class Pagination {
+  constructor (hits, { now = Date.now }) {
+    this[kHits] = hits
+    this[kCursors] = new Map()
+    this[kNow] = now
+  }
+
+  routes () {
+    const route = (method, path, fn) => ({ method, path, handler: params => catchErrors(() => fn(this, params)) })
+    return [
+      route(['GET', 'POST'], ['/_search', '/:index/_search'], search),
+      route(['GET', 'POST'], '/_search/scroll', scroll),
+      route('DELETE', '/_search/scroll', clearScroll),
+      route('POST', '/:index/_pit', openPit),
+      route('DELETE', '/_pit', closePit)
+    ]
+  }
+}
+
+function search (pager, params) {
+  const body = isObject(params.body) ? params.body : {}
+  const { querystring } = params
+  const from = Number(querystring.from || body.from || 0)
+  const size = Number(querystring.size || (body.size === undefined ? 10 : body.size))
+  const [, name] = params.path.split('/')
+
+  let pitId
+  if (body.pit !== undefined) {
+    if (name !== '_search') {
+      throw validationFailed('[indices] cannot be used with point in time. Do not specify any index with point in time.')
+    }
+    pitId = body.pit.id
+    getCursor(pager, 'pit', pitId, body.pit.keep_alive)
+  }
+
+  // with a point in time the hits are sorted by the
+  // `_shard_doc` tiebreaker as well, which is their position
+  const entries = pager[kHits].map((hit, position) => ({
+    hit,
+    sort: pitId === undefined ? hit.sort : [].concat(hit.sort || [], position)
+  }))
+  let start = from
+  if (body.search_after !== undefined) {
+    if (from > 0) {
+      throw new ElasticsearchError(400, 'illegal_argument_exception', '`from` parameter must be set to 0 when `search_after` is used.')
+    }
+    start = searchAfter(entries, body.search_after, body.sort)
+  }
+
+  const response = { took: 1, timed_out: false, _shards: shards(), hits: page(entries, start, size) }
+  if (pitId !== undefined) response.pit_id = pitId
+  if (querystring.scroll !== undefined) {
+    response._scroll_id = openCursor(pager, 'scroll', querystring.scroll, { position: start + size, size })
+  }
+  return { statusCode: 200, body: response }
+}
+
+// the index of the first entry that comes after the given sort values,
+// the result set is already sorted so it is enough to compare them
+function searchAfter (entries, values, sort) {
+  if (entries.length === 0) return 0
+  if (entries[0].sort === undefined) {
+    throw new ElasticsearchError(400, 'illegal_argument_exception', 'Cannot use [search_after] on hits without sort values')
+  }
+  const length = entries[0].sort.length
+  if (!Array.isArray(values) || values.length !== length) {
+    throw new ElasticsearchError(400, 'illegal_argument_exception',
+      `search_after has ${[].concat(values).length} value(s) but sort has ${length}.`)
+  }
+  const orders = sort === undefined ? [] : [].concat(sort).map(parseSort)
+  const fields = values.map((value, i) => orders[i] || { order: 'asc' })
+  const index = entries.findIndex(entry => compareSort(entry.sort, values, fields) > 0)
+  return index === -1 ? entries.length : index
+}
+
+function scroll (pager, params) {
+  const body = isObject(params.body) ? params.body : {}
+  const id = body.scroll_id || params.querystring.scroll_id
+  if (id === undefined) throw validationFailed('scrollId is missing')
+  const cursor = getCursor(pager, 'scroll', id, body.scroll || params.querystring.scroll)
+
+  const entries = pager[kHits].map(hit => ({ hit, sort: hit.sort }))
+  const hits = page(entries, cursor.position, cursor.size)
+  cursor.position += cursor.size
+  return { statusCode: 200, body: { _scroll_id: id, took: 1, timed_out: false, _shards: shards(), hits } }
+}
+
+function clearScroll (pager, params) {
+  const body = isObject(params.body) ? params.body : {}
+  const ids = body.scroll_id || params.querystring.scroll_id
+  if (ids === undefined) throw validationFailed('no scroll ids specified')
+  return freeCursors(pager, 'scroll', [].concat(ids))
+}
+
+function openPit (pager, params) {
+  const keepAlive = params.querystring.keep_alive
+  if (keepAlive === undefined) throw validationFailed('[keep_alive] is not specified')
+  const id = openCursor(pager, 'pit', keepAlive, {})
+  return { statusCode: 200, body: { id, _shards: shards() } }
+}
+
+function closePit (pager, params) {
+  const body = isObject(params.body) ? params.body : {}
+  if (body.id === undefined) throw validationFailed('id is missing')
+  return freeCursors(pager, 'pit', [body.id])
+}
+
+function page (entries, start, size) {
+  return {
+    total: { value: entries.length, relation: 'eq' },
+    max_score: null,
+    hits: entries.slice(start, start + size).map(({ hit, sort }) => sort === undefined ? { ...hit } : { ...hit, sort })
+  }
+}
+
+function openCursor (pager, type, keepAlive, state) {
+  const expiresAt = pager[kNow]() + parseTimeValue(keepAlive, keepAliveSettings[type])
+  const id = randomBytes(24).toString('base64url')
+  pager[kCursors].set(id, { type, expiresAt, ...state })
+  return id
+}
+
+// a new keep alive extends the expiration of the cursor
+function getCursor (pager, type, id, keepAlive) {
+  pruneCursors(pager)
+  const cursor = pager[kCursors].get(id)
+  if (cursor === undefined || cursor.type !== type) {
+    throw new ElasticsearchError(404, 'search_context_missing_exception', `No search context found for id [${id}]`)
+  }
+  if (keepAlive !== undefined) {
+    cursor.expiresAt = pager[kNow]() + parseTimeValue(keepAlive, keepAliveSettings[type])
+  }
+  return cursor
+}
+
+function freeCursors (pager, type, ids) {
+  pruneCursors(pager)
+  let freed = 0
+  for (const [id, cursor] of pager[kCursors]) {
+    if (cursor.type === type && (ids.includes(id) || ids.includes('_all'))) {
+      pager[kCursors].delete(id)
+      freed += 1
+    }
+  }
+  return { statusCode: freed > 0 ? 200 : 404, body: { succeeded: true, num_freed: freed } }
+}
+
+function pruneCursors (pager) {
+  const now = pager[kNow]()
+  for (const [id, cursor] of pager[kCursors]) {
+    if (cursor.expiresAt <= now) pager[kCursors].delete(id)
+  }
+}
+
+function validationFailed (reason) {
+  return new ElasticsearchError(400, 'action_request_validation_exception', `Validation Failed: 1: ${reason};`)
+}
+
+function shards () {
+  return { total: 1, successful: 1, skipped: 0, failed: 0 }
+}
+
+function isObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+module.exports = { Pagination }
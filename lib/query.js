@@ -0,0 +1,211 @@
+/*
+ * Licensed to Elasticsearch B.V. under one or more contributor
+ * license agreements. See the NOTICE file distributed with
+ * this work for additional information regarding copyright
+ * ownership. Elasticsearch B.V. licenses this file to you under
+ * the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+'use strict'
+
+const { parsingError } = require('./errors')
+const { getValues, isText, isDate, tokenize, parseDate, wildcard } = require('./fields')
+
+// every query is compiled into a function that returns the score
+// of the given document, or null if the document doesn't match,
+// the `now` clock is the one of the date math expressions
+const queries = {
+  match_all: () => () => 1,
+
+  match_none: () => () => null,
+
+  term (body) {
+    const { field, options } = fieldQuery('term', body, 'value')
+    return doc => getValues(doc._source, field).some(value => matchTerm(field, value, options.value, options.case_insensitive))
+      ? 1
+      : null
+  },
+
+  terms (body) {
+    const fields = Object.keys(body).filter(key => key !== 'boost')
+    if (fields.length !== 1 || !Array.isArray(body[fields[0]])) {
+      throw parsingError('[terms] query requires a single field with an array of terms')
+    }
+    const [field] = fields
+    const terms = body[field]
+    return doc => getValues(doc._source, field).some(value => terms.some(term => matchTerm(field, value, term, false)))
+      ? 1
+      : null
+  },
+
+  match (body) {
+    const { field, options } = fieldQuery('match', body, 'query')
+    const tokens = tokenize(options.query)
+    const operator = String(options.operator || 'or').toLowerCase()
+    return doc => {
+      let matched = 0
+      const terms = new Set()
+      for (const value of getValues(doc._source, field)) {
+        if (isText(field, value)) {
+          for (const token of tokenize(value)) terms.add(token)
+        } else if (matchTerm(field, value, options.query, false)) {
+          return 1
+        }
+      }
+      for (const token of tokens) {
+        if (terms.has(token)) matched += 1
+      }
+      if (matched === 0) return null
+      return operator === 'and' && matched < tokens.length ? null : matched
+    }
+  },
+
+  range (body, now) {
+    const { field, options } = fieldQuery('range', body, null)
+    const bounds = ['gt', 'gte', 'lt', 'lte'].filter(key => options[key] !== undefined && options[key] !== null)
+    return doc => getValues(doc._source, field).some(value => bounds.every(bound => {
+      const comparison = compareRange(value, options[bound], now)
+      if (bound === 'gt') return comparison > 0
+      if (bound === 'gte') return comparison >= 0
+      if (bound === 'lt') return comparison < 0
+      return comparison <= 0
+    }))
+      ? 1
+      : null
+  },
+
+  exists (body) {
+    if (typeof body.field !== 'string') throw parsingError('[exists] must be provided with a [field]')
+    return doc => getValues(doc._source, body.field).length > 0 ? 1 : null
+  },
+
+  ids (body) {
+    const values = Array.isArray(body.values) ? body.values.map(String) : []
+    return doc => values.includes(doc._id) ? 1 : null
+  },
+
+  prefix (body) {
+    const { field, options } = fieldQuery('prefix', body, 'value')
+    const insensitive = options.case_insensitive === true
+    const prefix = insensitive ? String(options.value).toLowerCase() : String(options.value)
+    return doc => someTerm(field, doc, term => (insensitive ? term.toLowerCase() : term).startsWith(prefix)) ? 1 : null
+  },
+
+  wildcard (body) {
+    const { field, options } = fieldQuery('wildcard', body, 'value')
+    const regex = wildcard(options.value === undefined ? options.wildcard : options.value, options.case_insensitive === true)
+    return doc => someTerm(field, doc, term => regex.test(term)) ? 1 : null
+  },
+
+  bool (body, now) {
+    const clauses = {}
+    for (const occur of ['must', 'filter', 'should', 'must_not']) {
+      clauses[occur] = [].concat(body[occur] === undefined ? [] : body[occur]).map(query => compileQuery(query, now))
+    }
+    const minimumShouldMatch = body.minimum_should_match !== undefined
+      ? Number.parseInt(body.minimum_should_match, 10)
+      : clauses.must.length + clauses.filter.length === 0 ? 1 : 0
+
+    return doc => {
+      let score = 0
+      for (const query of clauses.must) {
+        const result = query(doc)
+        if (result === null) return null
+        score += result
+      }
+      for (const query of clauses.filter) {
+        if (query(doc) === null) return null
+      }
+      for (const query of clauses.must_not) {
+        if (query(doc) !== null) return null
+      }
+      let matched = 0
+      for (const query of clauses.should) {
+        const result = query(doc)
+        if (result === null) continue
+        matched += 1
+        score += result
+      }
+      if (matched < Math.min(minimumShouldMatch, clauses.should.length)) return null
+      return score
+    }
+  }
+}
+
+function compileQuery (query, now) {
+  if (query === null || typeof query !== 'object' || Array.isArray(query)) {
+    throw parsingError('query malformed, must start with start_object')
+  }
+  const types = Object.keys(query)
+  if (types.length === 0) {
+    throw parsingError('query malformed, empty clause found')
+  } else if (types.length > 1) {
+    throw parsingError(`[${types[0]}] malformed query, expected [END_OBJECT] but found [FIELD_NAME]`)
+  }
+  const [type] = types
+  if (!Object.prototype.hasOwnProperty.call(queries, type)) {
+    throw parsingError(`unknown query [${type}]`)
+  }
+  const body = query[type]
+  if (body === null || typeof body !== 'object') {
+    throw parsingError(`[${type}] query malformed, no start_object after query name`)
+  }
+  return queries[type](body, now)
+}
+
+// the field queries accept both the short `{ field: value }` form
+// and the long `{ field: { [key]: value, ...options } }` one
+function fieldQuery (type, body, key) {
+  const fields = Object.keys(body)
+  if (fields.length !== 1) {
+    throw parsingError(fields.length === 0
+      ? `[${type}] query requires a field`
+      : `[${type}] query doesn't support multiple fields, found [${fields[0]}] and [${fields[1]}]`)
+  }
+  const [field] = fields
+  const value = body[field]
+  const options = value !== null && typeof value === 'object' && !Array.isArray(value) ? value : { [key]: value }
+  return { field, options }
+}
+
+// the text fields are matched on their tokens, the other values as they are
+function matchTerm (field, value, term, caseInsensitive) {
+  if (isText(field, value)) {
+    const expected = caseInsensitive ? String(term).toLowerCase() : String(term)
+    return tokenize(value).includes(expected)
+  } else if (typeof value === 'string') {
+    return caseInsensitive ? value.toLowerCase() === String(term).toLowerCase() : value === String(term)
+  } else if (typeof value === 'number') {
+    return value === Number(term)
+  }
+  return String(value) === String(term)
+}
+
+function someTerm (field, doc, test) {
+  return getValues(doc._source, field).some(value => {
+    return isText(field, value) ? tokenize(value).some(test) : test(String(value))
+  })
+}
+
+function compareRange (value, bound, now) {
+  if (typeof value === 'number') {
+    return value - Number(bound)
+  } else if (isDate(value)) {
+    return parseDate(value) - parseDate(bound, now)
+  }
+  const expected = String(bound)
+  return value < expected ? -1 : value > expected ? 1 : 0
+}
+
+module.exports = { compileQuery }
@@ -0,0 +1,93 @@
+/*
+ * Licensed to Elasticsearch B.V. under one or more contributor
+ * license agreements. See the NOTICE file distributed with
+ * this work for additional information regarding copyright
+ * ownership. Elasticsearch B.V. licenses this file to you under
+ * the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+'use strict'
+
+const { ElasticsearchError } = require('./errors')
+const { compileQuery } = require('./query')
+const { aggregate } = require('./aggregations')
+const { collectHits, sourceParam, parseSort, parseSource, parseFlag } = require('./hits')
+
+const maxResultWindow = 10000
+
+// runs a search request over the given documents, which have
+// the `_index`, `_id` and `_source` keys, and builds the response body,
+// the date math expressions are relative to the `now` clock
+function search (documents, params, shards, now) {
+  const request = searchRequest(params)
+  const query = request.query === undefined ? () => 1 : compileQuery(request.query, now)
+  if (request.from + request.size > maxResultWindow) {
+    throw new ElasticsearchError(400, 'illegal_argument_exception',
+      `Result window is too large, from + size must be less than or equal to: [${maxResultWindow}] ` +
+      `but was [${request.from + request.size}]. See the scroll api for a more efficient way to request large data sets. ` +
+      'This limit can be set by changing the [index.max_result_window] index level setting.')
+  }
+
+  const matched = []
+  documents.forEach((doc, position) => {
+    const score = query(doc)
+    if (score !== null) matched.push({ doc, score, position })
+  })
+
+  const total = totalHits(matched.length, request.track_total_hits)
+  const hits = collectHits(matched, request)
+  const body = {
+    took: 1,
+    timed_out: false,
+    _shards: { total: shards, successful: shards, skipped: 0, failed: 0 },
+    hits: total === undefined ? hits : { total, ...hits }
+  }
+  // the aggregations run over every matching document, not only the returned page
+  const aggregations = request.aggs || request.aggregations
+  if (aggregations !== undefined) body.aggregations = aggregate(aggregations, matched, now)
+  return body
+}
+
+// merges the querystring parameters with the body ones, and normalizes them
+function searchRequest ({ body, querystring }) {
+  const request = body !== null && typeof body === 'object' ? { ...body } : {}
+  if (querystring.from !== undefined) request.from = querystring.from
+  if (querystring.size !== undefined) request.size = querystring.size
+  if (querystring.track_total_hits !== undefined) request.track_total_hits = parseFlag(querystring.track_total_hits)
+  if (querystring.track_scores !== undefined) request.track_scores = parseFlag(querystring.track_scores)
+  if (querystring.sort !== undefined) {
+    request.sort = String(querystring.sort).split(',').map(item => {
+      const [field, order = 'asc'] = item.split(':')
+      return { [field]: order }
+    })
+  }
+  const source = sourceParam(querystring)
+  if (source !== undefined) request._source = source
+
+  request.from = Number(request.from || 0)
+  request.size = request.size === undefined ? 10 : Number(request.size)
+  request.sort = request.sort === undefined ? null : [].concat(request.sort).map(parseSort)
+  request._source = parseSource(request._source)
+  return request
+}
+
+function totalHits (total, track) {
+  if (track === false) return undefined
+  const threshold = track === true ? Infinity : track === undefined ? maxResultWindow : Number(track)
+  return total > threshold
+    ? { value: threshold, relation: 'gte' }
+    : { value: total, relation: 'eq' }
+}
+
+module.exports = { search }
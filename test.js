@@ -19,9 +19,15 @@
 
 'use strict'
 
+const { AssertionError } = require('assert')
 const test = require('ava')
 const { Client, errors } = require('@elastic/elasticsearch')
 const { AbortController } = require('node-abort-controller')
+const http = require('http')
+const { readFileSync, writeFileSync, mkdirSync, rmSync } = require('fs')
+const { tmpdir } = require('os')
+const { join, dirname } = require('path')
+const { gzipSync, gunzipSync } = require('zlib')
 const intoStream = require('into-stream')
 const Mock = require('./')
 
@@ -476,7 +482,7 @@ test('The mock function should receive the request parameters', async t => {
     path: '/test/_search'
   }, params => params)
 
-  const response = await client.search({
+  const { headers, ...response } = await client.search({
     index: 'test',
     query: { match_all: {} }
   })
@@ -489,6 +495,8 @@ test('The mock function should receive the request parameters', async t => {
       query: { match_all: {} }
     }
   })
+  t.is(headers['content-type'], 'application/vnd.elasticsearch+json; compatible-with=9')
+  t.is(headers['content-encoding'], 'gzip')
 })
 
 test('Should handle the same mock with different body/querystring', async t => {
@@ -1088,6 +1096,15 @@ test('Validate types on get()', t => {
   }
 })
 
+test('get() should return the matching resolver', t => {
+  const mock = new Mock()
+  const resolver = () => ({ status: 'ok' })
+  mock.add({ method: 'GET', path: '/:index/_count' }, resolver)
+
+  t.is(mock.get({ method: 'GET', path: '/foo/_count' }), resolver)
+  t.is(mock.get({ method: 'POST', path: '/foo/_count' }), null)
+})
+
 test('should show passed params when no mock is found', async t => {
   const mock = new Mock()
   mock.add({ method: 'DELETE', path: '/bar' }, () => {})
@@ -1100,14 +1117,4202 @@ test('should show passed params when no mock is found', async t => {
     await client.info()
     t.fail('should throw')
   } catch (err) {
-    t.deepEqual(err.body, {
-      error: 'Mock not found',
-      params: {
-        body: null,
-        method: 'GET',
-        path: '/',
-        querystring: {}
-      }
+    const { headers, ...params } = err.body.params
+    t.is(err.body.error, 'Mock not found')
+    t.deepEqual(params, {
+      body: null,
+      method: 'GET',
+      path: '/',
+      querystring: {}
+    })
+    t.is(typeof headers['user-agent'], 'string')
+  }
+})
+
+test('The credentials are redacted from the unmatched request diagnostics', async t => {
+  const mock = new Mock()
+  mock.add({ method: 'GET', path: '/', headers: { authorization: 'ApiKey registered' } }, () => ({}))
+  mock.add({ method: 'GET', path: '/', headers: Mock.match.objectContaining({ 'x-tenant-id': 'foo' }) }, () => ({}))
+  const client = new Client({
+    node: 'http://localhost:9200',
+    auth: { apiKey: 'secret' },
+    headers: { cookie: 'session=secret' },
+    Connection: mock.getConnection()
+  })
+
+  const err = await t.throwsAsync(client.info(), { instanceOf: errors.ResponseError })
+  t.false(err.message.includes('secret'))
+  t.false(err.message.includes('registered'))
+  t.is(err.body.params.headers.authorization, '[redacted]')
+  t.is(err.body.params.headers.cookie, '[redacted]')
+  t.is(typeof err.body.params.headers['user-agent'], 'string')
+  const [literal, matcher] = err.body.candidates
+  t.deepEqual(literal.pattern.headers, { authorization: '[redacted]' })
+  t.deepEqual(literal.diff.headers[0], { op: 'changed', path: '/authorization', expected: '[redacted]', actual: '[redacted]' })
+  t.is(matcher.diff.headers[0].actual.authorization, '[redacted]')
+  t.is(matcher.diff.headers[0].actual.cookie, '[redacted]')
+
+  const throwing = new Client({
+    node: 'http://localhost:9200',
+    auth: { apiKey: 'secret' },
+    maxRetries: 0,
+    Connection: new Mock({ onUnmatched: 'throw' })
+      .add({ method: 'GET', path: '/', headers: { cookie: 'session=registered', 'x-tenant-id': 'foo' } }, () => ({}))
+      .getConnection()
+  })
+  const notFound = await t.throwsAsync(throwing.info(), { instanceOf: Mock.MockNotFoundError })
+  t.is(notFound.params.headers.authorization, '[redacted]')
+  t.false(notFound.message.includes('registered'))
+  t.deepEqual(notFound.candidates[0].diff.headers, [
+    { op: 'missing', path: '/cookie', expected: '[redacted]' },
+    { op: 'missing', path: '/x-tenant-id', expected: 'foo' }
+  ])
+  const { responses } = await throwing.msearch({ searches: [{}, {}] })
+  t.is(responses[0].diagnostics.params.headers.authorization, '[redacted]')
+})
+
+test('Should record every request in the call history', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/:index/_search'
+  }, () => {
+    return { hits: { total: { value: 0, relation: 'eq' }, hits: [] } }
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices',
+    querystring: { format: 'json' }
+  }, () => {
+    return new errors.ResponseError({
+      body: { errors: {}, status: 500 },
+      statusCode: 500
+    })
+  })
+
+  await client.search({ index: 'foo', query: { match_all: {} } })
+  await t.throwsAsync(client.cat.indices({ format: 'json' }))
+  await t.throwsAsync(client.info())
+
+  const calls = mock.calls()
+  t.is(calls.length, 3)
+
+  t.is(calls[0].method, 'POST')
+  t.is(calls[0].path, '/foo/_search')
+  t.deepEqual(calls[0].querystring, {})
+  t.deepEqual(calls[0].body, { query: { match_all: {} } })
+  t.is(calls[0].headers['content-type'], 'application/vnd.elasticsearch+json; compatible-with=9')
+  t.deepEqual(calls[0].pattern, { method: 'POST', path: '/:index/_search' })
+  t.is(calls[0].statusCode, 200)
+
+  t.deepEqual(calls[1].querystring, { format: 'json' })
+  t.deepEqual(calls[1].pattern, {
+    method: 'GET',
+    path: '/_cat/indices',
+    querystring: { format: 'json' }
+  })
+  t.is(calls[1].statusCode, 500)
+
+  t.is(calls[2].path, '/')
+  t.is(calls[2].pattern, 'unmatched')
+  t.is(calls[2].statusCode, 404)
+
+  t.is(mock.lastCall(), calls[2])
+})
+
+test('Should record client errors without a status code', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    maxRetries: 0,
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices'
+  }, () => {
+    return new errors.TimeoutError()
+  })
+
+  await t.throwsAsync(client.cat.indices(), { instanceOf: errors.TimeoutError })
+  t.is(mock.lastCall().path, '/_cat/indices')
+  t.is(mock.lastCall().statusCode, null)
+})
+
+test('Should filter the call history with a pattern', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: ['GET', 'POST'],
+    path: '/:index/_search'
+  }, () => {
+    return { hits: { total: { value: 0, relation: 'eq' }, hits: [] } }
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/:index/_count'
+  }, () => {
+    return { count: 42 }
+  })
+
+  await client.search({ index: 'foo', query: { match_all: {} } })
+  await client.search({ index: 'bar', query: { match: { foo: 'bar' } } })
+  await client.search({ index: 'foo,bar', query: { match_all: {} } }, { querystring: { pretty: 'true' } })
+  await client.count({ index: 'foo' })
+
+  t.is(mock.calls({ method: 'POST', path: '/:index/_search' }).length, 3)
+  t.is(mock.calls({ method: 'GET', path: '/:index/_search' }).length, 0)
+  t.is(mock.calls({ method: ['GET', 'POST'], path: ['/foo/_search', '/bar/_count'] }).length, 1)
+  t.is(mock.calls({ method: 'POST', path: '/foo%2Cbar/_search' }).length, 1)
+  t.is(mock.calls({ method: 'GET', path: '/:index/_count' }).length, 1)
+
+  let calls = mock.calls({
+    method: 'POST',
+    path: '/:index/_search',
+    body: { query: { match_all: {} } }
+  })
+  t.deepEqual(calls.map(call => call.path), ['/foo/_search', '/foo,bar/_search'])
+
+  calls = mock.calls({
+    method: 'POST',
+    path: '/:index/_search',
+    querystring: { pretty: 'true' }
+  })
+  t.deepEqual(calls.map(call => call.path), ['/foo,bar/_search'])
+})
+
+test('Should reset the call history', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/'
+  }, () => {
+    return { status: 'ok' }
+  })
+
+  t.is(mock.lastCall(), null)
+  await client.info()
+  t.is(mock.calls().length, 1)
+
+  t.is(mock.resetHistory(), mock)
+  t.deepEqual(mock.calls(), [])
+  t.is(mock.lastCall(), null)
+
+  // the registered mocks are untouched
+  await client.info()
+  t.is(mock.calls().length, 1)
+})
+
+test('.calls should throw if method and path are not defined', t => {
+  const mock = new Mock()
+
+  try {
+    mock.calls({ path: '/' })
+    t.fail('Should throw')
+  } catch (err) {
+    t.true(err instanceof errors.ConfigurationError)
+    t.is(err.message, 'The method is not defined')
+  }
+
+  try {
+    mock.calls({ method: 'GET' })
+    t.fail('Should throw')
+  } catch (err) {
+    t.true(err instanceof errors.ConfigurationError)
+    t.is(err.message, 'The path is not defined')
+  }
+})
+
+test('Should report the mocks that have never been used', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices'
+  }, () => {
+    return { status: 'ok' }
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/_bulk',
+    querystring: { refresh: 'true' },
+    body: [{ index: { _index: 'test' } }, { foo: 'bar' }]
+  }, () => {
+    return { errors: false, items: [] }
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/:index/_refresh'
+  }, () => {
+    return { _shards: { total: 1, successful: 1, failed: 0 } }
+  })
+
+  t.false(mock.isDone())
+  t.is(mock.pendingMocks().length, 3)
+
+  await client.cat.indices()
+  // get() does not count as an usage
+  mock.get({ method: 'GET', path: '/test/_refresh' })
+
+  t.false(mock.isDone())
+  t.deepEqual(mock.pendingMocks(), [{
+    method: 'POST',
+    path: '/_bulk',
+    querystring: { refresh: 'true' },
+    body: [{ index: { _index: 'test' } }, { foo: 'bar' }]
+  }, {
+    method: 'GET',
+    path: '/:index/_refresh'
+  }])
+
+  const err = t.throws(() => mock.assertDone(), { instanceOf: AssertionError })
+  t.is(err.message, [
+    'The following mocks have never been used:',
+    '  - POST /_bulk querystring={"refresh":"true"} body=[{"index":{"_index":"test"}},{"foo":"bar"}]',
+    '  - GET /:index/_refresh'
+  ].join('\n'))
+
+  await client.bulk({ refresh: true, operations: [{ index: { _index: 'test' } }, { foo: 'bar' }] })
+  await client.indices.refresh({ index: 'test' })
+
+  t.true(mock.isDone())
+  t.deepEqual(mock.pendingMocks(), [])
+  t.notThrows(() => mock.assertDone())
+})
+
+test('Multiple methods and paths are tracked individually by pendingMocks', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: ['GET', 'POST'],
+    path: ['/_search', '/:index/_search']
+  }, () => {
+    return { status: 'ok' }
+  })
+
+  await client.search({ index: 'test' })
+  t.is(mock.lastCall().method, 'GET')
+
+  t.deepEqual(mock.pendingMocks(), [
+    { method: 'GET', path: '/_search' },
+    { method: 'POST', path: '/_search' },
+    { method: 'POST', path: '/:index/_search' }
+  ])
+})
+
+test('Cleared mocks are no longer pending', t => {
+  const mock = new Mock()
+
+  mock.add({ method: 'GET', path: '/foo' }, () => ({}))
+  mock.add({ method: 'GET', path: '/bar' }, () => ({}))
+  mock.add({ method: 'GET', path: '/foo%2Cbar' }, () => ({}))
+
+  mock.clear({ method: 'GET', path: '/foo' })
+  mock.clear({ method: 'GET', path: '/foo%2Cbar' })
+  t.deepEqual(mock.pendingMocks(), [{ method: 'GET', path: '/bar' }])
+  t.is(mock.get({ method: 'GET', path: '/foo,bar' }), null)
+
+  mock.clearAll()
+  t.true(mock.isDone())
+})
+
+test('Clearing a path only removes its own mocks from a shared route', t => {
+  const mock = new Mock()
+
+  mock.add({ method: 'GET', path: '/:index/_count' }, () => ({ count: 1 }))
+  mock.add({ method: 'GET', path: '/foo/_count' }, () => ({ count: 2 }))
+  mock.add({ method: 'GET', path: '/bar/_count' }, () => ({ count: 3 }))
+
+  mock.clear({ method: 'GET', path: '/foo/_count' })
+  t.deepEqual(mock.get({ method: 'GET', path: '/foo/_count' })(), { count: 1 })
+  t.deepEqual(mock.pendingMocks(), [
+    { method: 'GET', path: '/:index/_count' },
+    { method: 'GET', path: '/bar/_count' }
+  ])
+
+  mock.clear({ method: 'GET', path: '/:index/_count' })
+  t.deepEqual(mock.get({ method: 'GET', path: '/bar/_count' })(), { count: 3 })
+  t.deepEqual(mock.pendingMocks(), [{ method: 'GET', path: '/bar/_count' }])
+
+  mock.clear({ method: 'GET', path: '/bar/_count' })
+  t.is(mock.get({ method: 'GET', path: '/bar/_count' }), null)
+  t.true(mock.isDone())
+
+  mock.clear({ method: 'GET', path: '/bar/_count' })
+  mock.add({ method: 'GET', path: '/foo/_count' }, () => ({ count: 4 }))
+  t.is(mock.get({ method: 'GET', path: '/bar/_count' }), null)
+  t.deepEqual(mock.get({ method: 'GET', path: '/foo/_count' })(), { count: 4 })
+})
+
+test('A mock with a times limit stops matching once it has been used up', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices'
+  }, () => {
+    return { status: 'ok' }
+  }, { times: 2 })
+
+  t.deepEqual(await client.cat.indices(), { status: 'ok' })
+  t.deepEqual(await client.cat.indices(), { status: 'ok' })
+
+  try {
+    await client.cat.indices()
+    t.fail('Should throw')
+  } catch (err) {
+    t.true(err instanceof errors.ResponseError)
+    t.is(err.body.error, 'Mock not found')
+    t.is(err.statusCode, 404)
+  }
+
+  t.true(mock.isDone())
+  t.is(mock.get({ method: 'GET', path: '/_cat/indices' }), null)
+})
+
+test('First call fails, second succeeds', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  // the consumable mock is registered after the persistent one,
+  // but with the same precision it takes precedence
+  mock.add({
+    method: 'GET',
+    path: '/:index/_count'
+  }, () => {
+    return { count: 42 }
+  })
+
+  mock.once({
+    method: 'GET',
+    path: '/:index/_count'
+  }, () => {
+    return new errors.ResponseError({
+      body: { error: 'unavailable', status: 503 },
+      statusCode: 503
     })
+  })
+
+  // the client retries on 503
+  const response = await client.count({ index: 'foo' }, { meta: true })
+  t.deepEqual(response.body, { count: 42 })
+  t.is(response.meta.attempts, 1)
+  t.deepEqual(mock.calls().map(call => call.statusCode), [503, 200])
+
+  t.deepEqual(await client.count({ index: 'foo' }), { count: 42 })
+})
+
+test('An exhausted mock falls back to the next matching candidate', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices'
+  }, () => {
+    return { precise: false }
+  })
+
+  mock.once({
+    method: 'GET',
+    path: '/_cat/indices',
+    querystring: { format: 'json' }
+  }, () => {
+    return { precise: true }
+  })
+
+  t.deepEqual(await client.cat.indices({ format: 'json' }), { precise: true })
+  t.deepEqual(await client.cat.indices({ format: 'json' }), { precise: false })
+})
+
+test('Every method and path combination has its own times limit', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.once({
+    method: 'GET',
+    path: ['/foo/_count', '/bar/_count']
+  }, () => {
+    return { count: 42 }
+  })
+
+  t.deepEqual(await client.count({ index: 'foo' }), { count: 42 })
+  t.deepEqual(await client.count({ index: 'bar' }), { count: 42 })
+  await t.throwsAsync(client.count({ index: 'foo' }), { instanceOf: errors.ResponseError })
+})
+
+test('.add should throw if the times option is not valid', t => {
+  const mock = new Mock()
+
+  for (const times of [0, -1, 1.5, '2', null]) {
+    try {
+      mock.add({ method: 'GET', path: '/' }, () => ({}), { times })
+      t.fail('Should throw')
+    } catch (err) {
+      t.true(err instanceof errors.ConfigurationError)
+      t.is(err.message, 'The times option must be a positive integer')
+    }
+  }
+})
+
+test('Should respond with a sequence of responses', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.addSequence({
+    method: 'GET',
+    path: '/_cluster/health'
+  }, [
+    new errors.ResponseError({
+      body: { error: 'unavailable', status: 500 },
+      statusCode: 500
+    }),
+    { status: 'yellow' },
+    { status: 'green' }
+  ])
+
+  try {
+    await client.cluster.health()
+    t.fail('Should throw')
+  } catch (err) {
+    t.true(err instanceof errors.ResponseError)
+    t.is(err.statusCode, 500)
+  }
+
+  t.deepEqual(await client.cluster.health(), { status: 'yellow' })
+  t.deepEqual(await client.cluster.health(), { status: 'green' })
+  // by default the last response is repeated
+  t.deepEqual(await client.cluster.health(), { status: 'green' })
+  t.deepEqual(await client.cluster.health(), { status: 'green' })
+})
+
+test('A sequence can contain strings and client errors', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    maxRetries: 0,
+    Connection: mock.getConnection()
+  })
+
+  mock.addSequence({
+    method: 'GET',
+    path: '/_cat/health'
+  }, [new errors.TimeoutError(), 'green'])
+
+  await t.throwsAsync(client.cat.health(), { instanceOf: errors.TimeoutError })
+  t.is(await client.cat.health(), 'green')
+})
+
+test('An exhausted sequence can reject with an error', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.addSequence({
+    method: 'GET',
+    path: '/_tasks/:task_id'
+  }, [
+    { completed: false },
+    { completed: true }
+  ], { onExhausted: 'error' })
+
+  t.deepEqual(await client.tasks.get({ task_id: 'foo:1' }), { completed: false })
+  t.deepEqual(await client.tasks.get({ task_id: 'foo:1' }), { completed: true })
+
+  const err = await t.throwsAsync(client.tasks.get({ task_id: 'foo:1' }), {
+    instanceOf: errors.ConfigurationError
+  })
+  t.is(err.message, 'The responses sequence for GET /_tasks/:task_id has been exhausted')
+})
+
+test('An exhausted sequence can stop matching', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.addSequence({
+    method: 'GET',
+    path: '/_tasks/:task_id'
+  }, [
+    { completed: false },
+    { completed: true }
+  ], { onExhausted: 'notFound' })
+
+  t.deepEqual(await client.tasks.get({ task_id: 'foo:1' }), { completed: false })
+  t.deepEqual(await client.tasks.get({ task_id: 'foo:1' }), { completed: true })
+
+  try {
+    await client.tasks.get({ task_id: 'foo:1' })
+    t.fail('Should throw')
+  } catch (err) {
+    t.true(err instanceof errors.ResponseError)
+    t.is(err.body.error, 'Mock not found')
+    t.is(err.statusCode, 404)
+  }
+})
+
+test('Every method and path combination has its own sequence', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.addSequence({
+    method: 'GET',
+    path: ['/foo/_count', '/bar/_count']
+  }, [{ count: 1 }, { count: 2 }])
+
+  t.deepEqual(await client.count({ index: 'foo' }), { count: 1 })
+  t.deepEqual(await client.count({ index: 'bar' }), { count: 1 })
+  t.deepEqual(await client.count({ index: 'foo' }), { count: 2 })
+})
+
+test('.addSequence should validate its arguments', t => {
+  const mock = new Mock()
+
+  for (const responses of [undefined, [], { status: 'ok' }]) {
+    try {
+      mock.addSequence({ method: 'GET', path: '/' }, responses)
+      t.fail('Should throw')
+    } catch (err) {
+      t.true(err instanceof errors.ConfigurationError)
+      t.is(err.message, 'The responses sequence must be a non empty array')
+    }
+  }
+
+  try {
+    mock.addSequence({ method: 'GET', path: '/' }, [{}], { onExhausted: 'restart' })
+    t.fail('Should throw')
+  } catch (err) {
+    t.true(err instanceof errors.ConfigurationError)
+    t.is(err.message, 'Unknown onExhausted value: restart')
+  }
+
+  try {
+    mock.addSequence({ method: 'GET' }, [{}])
+    t.fail('Should throw')
+  } catch (err) {
+    t.true(err instanceof errors.ConfigurationError)
+    t.is(err.message, 'The path is not defined')
+  }
+})
+
+test('Should support async resolvers', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/:index/_search'
+  }, async params => {
+    await new Promise(resolve => setTimeout(resolve, 10))
+    return { query: params.body.query }
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/health'
+  }, async () => 'green')
+
+  const response = await client.search({ index: 'test', query: { match_all: {} } }, { meta: true })
+  t.deepEqual(response.body, { query: { match_all: {} } })
+  t.is(response.statusCode, 200)
+  t.is(mock.lastCall().statusCode, 200)
+
+  t.is(await client.cat.health(), 'green')
+})
+
+test('Async resolvers can resolve or reject with errors', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    maxRetries: 0,
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/foo/_count'
+  }, async () => {
+    return new errors.ResponseError({
+      body: { errors: {}, status: 500 },
+      statusCode: 500
+    })
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/bar/_count'
+  }, async () => {
+    throw new errors.ResponseError({
+      body: { errors: {}, status: 400 },
+      statusCode: 400
+    })
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/baz/_count'
+  }, async () => {
+    throw new errors.TimeoutError()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/faz/_count'
+  }, async () => {
+    return new errors.TimeoutError()
+  })
+
+  let err = await t.throwsAsync(client.count({ index: 'foo' }), { instanceOf: errors.ResponseError })
+  t.is(err.statusCode, 500)
+  t.is(mock.lastCall().statusCode, 500)
+
+  err = await t.throwsAsync(client.count({ index: 'bar' }), { instanceOf: errors.ResponseError })
+  t.is(err.statusCode, 400)
+  t.deepEqual(err.body, { errors: {}, status: 400 })
+  t.is(mock.lastCall().statusCode, 400)
+
+  await t.throwsAsync(client.count({ index: 'baz' }), { instanceOf: errors.TimeoutError })
+  t.is(mock.lastCall().statusCode, null)
+  await t.throwsAsync(client.count({ index: 'faz' }), { instanceOf: errors.TimeoutError })
+})
+
+test('Rejected resolvers are turned into connection errors', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    maxRetries: 0,
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/foo/_count'
+  }, async () => {
+    throw new Error('ENOENT: no such file or directory')
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/bar/_count'
+  }, () => {
+    throw new Error('kaboom')
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/baz/_count'
+  }, () => Promise.reject('kaboom')) // eslint-disable-line prefer-promise-reject-errors
+
+  let err = await t.throwsAsync(client.count({ index: 'foo' }), { instanceOf: errors.ConnectionError })
+  t.is(err.message, 'ENOENT: no such file or directory')
+
+  err = await t.throwsAsync(client.count({ index: 'bar' }), { instanceOf: errors.ConnectionError })
+  t.is(err.message, 'kaboom')
+
+  err = await t.throwsAsync(client.count({ index: 'baz' }), { instanceOf: errors.ConnectionError })
+  t.is(err.message, 'kaboom')
+})
+
+test('Should delay the response', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/foo/_count'
+  }, () => {
+    return { count: 42 }
+  }, { delay: 100 })
+
+  mock.add({
+    method: 'GET',
+    path: '/bar/_count'
+  }, () => {
+    return { count: 42 }
+  }, { delay: [50, 100] })
+
+  mock.add({
+    method: 'GET',
+    path: '/:index/_count'
+  }, () => {
+    return { count: 42 }
+  }, { delay: params => params.path === '/baz/_count' ? 100 : 0 })
+
+  for (const index of ['foo', 'bar', 'baz']) {
+    const start = Date.now()
+    t.deepEqual(await client.count({ index }), { count: 42 })
+    t.true(Date.now() - start >= 45, `${index} should be delayed`)
+  }
+})
+
+test('Should delay every response of a sequence', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.addSequence({
+    method: 'GET',
+    path: '/_cluster/health'
+  }, [{ status: 'yellow' }], { delay: 50 })
+
+  mock.addSequence({
+    method: 'GET',
+    path: '/_cluster/health/:index'
+  }, [{ status: 'green' }], { delay: 50, onExhausted: 'notFound' })
+
+  let start = Date.now()
+  t.deepEqual(await client.cluster.health(), { status: 'yellow' })
+  t.true(Date.now() - start >= 45)
+
+  start = Date.now()
+  t.deepEqual(await client.cluster.health({ index: 'foo' }), { status: 'green' })
+  t.true(Date.now() - start >= 45)
+})
+
+test('Abort a request during the delay', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  let called = false
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices'
+  }, () => {
+    called = true
+    return { status: 'ok' }
+  }, { delay: 5000 })
+
+  const ac = new AbortController()
+  const start = Date.now()
+  const p = client.cat.indices({}, { signal: ac.signal })
+  setTimeout(() => ac.abort(), 50)
+
+  await t.throwsAsync(p, { instanceOf: errors.RequestAbortedError })
+  t.true(Date.now() - start < 1000)
+  t.false(called)
+  t.is(mock.lastCall().statusCode, null)
+})
+
+test('Should time out if the delay exceeds the request timeout', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    requestTimeout: 50,
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices'
+  }, () => {
+    return { status: 'ok' }
+  }, { delay: 5000 })
+
+  const start = Date.now()
+  const err = await t.throwsAsync(client.cat.indices(), { instanceOf: errors.TimeoutError })
+  t.is(err.message, 'Request timed out')
+  t.true(Date.now() - start < 1000)
+
+  // the per-request timeout wins over the client one
+  mock.clearAll()
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices'
+  }, () => {
+    return { status: 'ok' }
+  }, { delay: 100 })
+  t.deepEqual(await client.cat.indices({}, { requestTimeout: 1000 }), { status: 'ok' })
+})
+
+test('Should time out if an async resolver takes too long', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    requestTimeout: 50,
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices'
+  }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 200))
+    return { status: 'ok' }
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/health'
+  }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 200))
+    throw new Error('kaboom')
+  })
+
+  await t.throwsAsync(client.cat.indices(), { instanceOf: errors.TimeoutError })
+  t.is(mock.lastCall().statusCode, null)
+
+  await t.throwsAsync(client.cat.health(), { instanceOf: errors.TimeoutError })
+  // the late outcome of the resolvers is ignored
+  await new Promise(resolve => setTimeout(resolve, 300))
+  t.deepEqual(mock.calls().map(call => call.statusCode), [null, null])
+})
+
+test('A slow first attempt times out, the next one succeeds', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    requestTimeout: 50,
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices'
+  }, () => {
+    return { status: 'ok' }
+  })
+
+  mock.once({
+    method: 'GET',
+    path: '/_cat/indices'
+  }, () => {
+    return { status: 'slow' }
+  }, { delay: 5000 })
+
+  await t.throwsAsync(client.cat.indices(), { instanceOf: errors.TimeoutError })
+  t.deepEqual(await client.cat.indices(), { status: 'ok' })
+  t.deepEqual(mock.calls().map(call => call.statusCode), [null, 200])
+})
+
+test('A delay function that throws turns into a connection error', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    maxRetries: 0,
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices'
+  }, () => {
+    return { status: 'ok' }
+  }, {
+    delay: () => {
+      throw new Error('kaboom')
+    }
+  })
+
+  const err = await t.throwsAsync(client.cat.indices(), { instanceOf: errors.ConnectionError })
+  t.is(err.message, 'kaboom')
+})
+
+test('.add should throw if the delay option is not valid', t => {
+  const mock = new Mock()
+
+  for (const delay of [-1, '100', null, [100], [100, 50], [-1, 50], ['1', '2']]) {
+    try {
+      mock.add({ method: 'GET', path: '/' }, () => ({}), { delay })
+      t.fail('Should throw')
+    } catch (err) {
+      t.true(err instanceof errors.ConfigurationError)
+      t.is(err.message, 'The delay option must be a number, a [min, max] range or a function')
+    }
+  }
+})
+
+test('Partial body and querystring matching', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/:index/_search',
+    body: { query: { match: { foo: 'bar' } } }
+  }, () => {
+    return { partial: true }
+  }, { match: 'partial' })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices',
+    querystring: { format: 'json' }
+  }, () => {
+    return { partial: true }
+  }, { match: 'partial' })
+
+  let response = await client.search({
+    index: 'test',
+    query: { match: { foo: 'bar' } },
+    size: 10,
+    track_total_hits: true,
+    _source: ['foo']
+  })
+  t.deepEqual(response, { partial: true })
+
+  response = await client.cat.indices({ format: 'json', h: 'index,health' })
+  t.deepEqual(response, { partial: true })
+
+  await t.throwsAsync(client.search({
+    index: 'test',
+    query: { match: { foo: 'baz' } },
+    size: 10
+  }), { instanceOf: errors.ResponseError })
+
+  await t.throwsAsync(client.cat.indices({ h: 'index,health' }), { instanceOf: errors.ResponseError })
+})
+
+test('Partial matching of nested objects and arrays', t => {
+  const mock = new Mock({ match: 'partial' })
+  const resolver = () => ({})
+
+  mock.add({
+    method: 'POST',
+    path: '/_bulk',
+    body: [{ index: { _index: 'test' } }, { foo: 'bar' }]
+  }, resolver)
+
+  mock.add({
+    method: 'POST',
+    path: '/_search',
+    body: { query: { bool: { filter: [{ term: { foo: 'bar' } }] } } }
+  }, resolver)
+
+  t.is(mock.get({
+    method: 'POST',
+    path: '/_bulk',
+    querystring: {},
+    body: [{ index: { _index: 'test', _id: '1' } }, { foo: 'bar', baz: 'faz' }]
+  }), resolver)
+
+  // arrays must have the same length
+  t.is(mock.get({
+    method: 'POST',
+    path: '/_bulk',
+    querystring: {},
+    body: [{ index: { _index: 'test' } }, { foo: 'bar' }, { delete: { _index: 'test', _id: '1' } }]
+  }), null)
+
+  t.is(mock.get({
+    method: 'POST',
+    path: '/_search',
+    querystring: {},
+    body: { query: { bool: { filter: [{ term: { foo: 'bar', boost: 2 } }] } }, size: 0 }
+  }), resolver)
+
+  for (const query of [null, 'bool', { bool: { filter: { term: { foo: 'bar' } } } }, { bool: {} }]) {
+    t.is(mock.get({
+      method: 'POST',
+      path: '/_search',
+      querystring: {},
+      body: { query }
+    }), null)
+  }
+})
+
+test('Specificity ordering with partial matching', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/test/_search'
+  }, () => {
+    return { mock: 'loose' }
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/test/_search',
+    body: { size: 10 }
+  }, () => {
+    return { mock: 'partial' }
+  }, { match: 'partial' })
+
+  mock.add({
+    method: 'POST',
+    path: '/test/_search',
+    body: { size: 10, query: { match_all: {} } }
+  }, () => {
+    return { mock: 'precise partial' }
+  }, { match: 'partial' })
+
+  mock.add({
+    method: 'POST',
+    path: '/test/_search',
+    body: { size: 10 }
+  }, () => {
+    return { mock: 'exact' }
+  })
+
+  t.deepEqual(await client.search({ index: 'test', size: 10 }), { mock: 'exact' })
+  t.deepEqual(await client.search({ index: 'test', size: 10, from: 10 }), { mock: 'partial' })
+  t.deepEqual(await client.search({ index: 'test', size: 10, query: { match_all: {} } }), { mock: 'precise partial' })
+  t.deepEqual(await client.search({ index: 'test', size: 20 }), { mock: 'loose' })
+})
+
+test('Partial matching as the Mocker default', async t => {
+  const mock = new Mock({ match: 'partial' })
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/test/_search',
+    body: { query: { match_all: {} } }
+  }, () => {
+    return { mock: 'partial' }
+  })
+
+  mock.addSequence({
+    method: 'POST',
+    path: '/test/_count',
+    body: { query: { match_all: {} } }
+  }, [{ count: 1 }, { count: 2 }])
+
+  mock.add({
+    method: 'POST',
+    path: '/test/_search',
+    body: { query: { match_all: {} } }
+  }, () => {
+    return { mock: 'exact' }
+  }, { match: 'exact' })
+
+  t.deepEqual(await client.search({ index: 'test', query: { match_all: {} }, size: 10 }), { mock: 'partial' })
+  t.deepEqual(await client.search({ index: 'test', query: { match_all: {} } }), { mock: 'exact' })
+  t.deepEqual(await client.count({ index: 'test', query: { match_all: {} }, terminate_after: 10 }), { count: 1 })
+  t.deepEqual(await client.count({ index: 'test', query: { match_all: {} }, terminate_after: 10 }), { count: 2 })
+
+  // calls follows the Mocker default
+  t.is(mock.calls({ method: 'POST', path: '/test/_search', body: { size: 10 } }).length, 1)
+  t.is(mock.calls({ method: 'POST', path: '/test/_search', body: { size: 10 } }, { match: 'exact' }).length, 0)
+})
+
+test('Partial matching of the call history', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/:index/_search'
+  }, () => {
+    return { hits: { total: { value: 0, relation: 'eq' }, hits: [] } }
+  })
+
+  await client.search({ index: 'foo', query: { match_all: {} }, size: 10 })
+  await client.search({ index: 'foo', query: { match_all: {} }, size: 20 })
+
+  const pattern = { method: 'POST', path: '/:index/_search', body: { size: 10 } }
+  t.is(mock.calls(pattern).length, 0)
+  t.is(mock.calls(pattern, { match: 'partial' }).length, 1)
+})
+
+test('Should throw on unknown match modes', t => {
+  try {
+    // eslint-disable-next-line no-new
+    new Mock({ match: 'loose' })
+    t.fail('Should throw')
+  } catch (err) {
+    t.true(err instanceof errors.ConfigurationError)
+    t.is(err.message, 'Unknown match mode: loose')
+  }
+
+  const mock = new Mock()
+  try {
+    mock.add({ method: 'GET', path: '/' }, () => ({}), { match: 'loose' })
+    t.fail('Should throw')
+  } catch (err) {
+    t.true(err instanceof errors.ConfigurationError)
+    t.is(err.message, 'Unknown match mode: loose')
+  }
+})
+
+test('Should evaluate predicates in patterns', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/test/_search',
+    body: body => body.size === 10
+  }, () => {
+    return { mock: 'body predicate' }
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/test/_search',
+    body: {
+      query: { range: { '@timestamp': { gte: value => typeof value === 'number' } } }
+    }
+  }, () => {
+    return { mock: 'nested predicate' }
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices',
+    querystring: querystring => 'format' in querystring
+  }, () => {
+    return { mock: 'querystring predicate' }
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices',
+    querystring: { h: value => value.split(',').includes('index') }
+  }, () => {
+    return { mock: 'querystring value predicate' }
+  })
+
+  t.deepEqual(await client.search({ index: 'test', size: 10 }), { mock: 'body predicate' })
+  t.deepEqual(await client.search({
+    index: 'test',
+    query: { range: { '@timestamp': { gte: Date.now() } } }
+  }), { mock: 'nested predicate' })
+  t.deepEqual(await client.cat.indices({ format: 'json' }), { mock: 'querystring predicate' })
+  t.deepEqual(await client.cat.indices({ h: 'health,index' }), { mock: 'querystring value predicate' })
+
+  await t.throwsAsync(client.search({ index: 'test', size: 20 }), { instanceOf: errors.ResponseError })
+  await t.throwsAsync(client.search({
+    index: 'test',
+    query: { range: { '@timestamp': { gte: 'now-1d' } } }
+  }), { instanceOf: errors.ResponseError })
+})
+
+test('Should evaluate asymmetric matchers in patterns', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'PUT',
+    path: '/:index/_doc/:id',
+    body: {
+      id: Mock.match.any(String),
+      count: Mock.match.any(Number),
+      enabled: Mock.match.any(Boolean),
+      tags: Mock.match.arrayContaining(['foo']),
+      meta: Mock.match.objectContaining({ source: 'app' }),
+      date: Mock.match.any(Date),
+      extra: Mock.match.anything()
+    }
+  }, () => {
+    return { result: 'created' }
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/:index/_search',
+    querystring: { routing: Mock.match.regex(/^user-\d+$/g) },
+    body: {
+      query: Mock.match.any(Object),
+      sort: Mock.match.any(Array)
+    }
+  }, () => {
+    return { mock: 'regex' }
+  })
+
+  const doc = {
+    id: 'abc',
+    count: 1,
+    enabled: true,
+    tags: ['bar', 'foo'],
+    meta: { source: 'app', version: 2 },
+    date: new Date(),
+    extra: 0
+  }
+  // the client serializes the body, so we test the Date matcher with get
+  t.truthy(mock.get({ method: 'PUT', path: '/test/_doc/1', querystring: {}, body: doc }))
+  t.is(mock.get({ method: 'PUT', path: '/test/_doc/1', querystring: {}, body: { ...doc, id: 1 } }), null)
+  t.is(mock.get({ method: 'PUT', path: '/test/_doc/1', querystring: {}, body: { ...doc, count: '1' } }), null)
+  t.is(mock.get({ method: 'PUT', path: '/test/_doc/1', querystring: {}, body: { ...doc, enabled: 'true' } }), null)
+  t.is(mock.get({ method: 'PUT', path: '/test/_doc/1', querystring: {}, body: { ...doc, tags: ['bar'] } }), null)
+  t.is(mock.get({ method: 'PUT', path: '/test/_doc/1', querystring: {}, body: { ...doc, tags: 'foo' } }), null)
+  t.is(mock.get({ method: 'PUT', path: '/test/_doc/1', querystring: {}, body: { ...doc, meta: { source: 'cli' } } }), null)
+  t.is(mock.get({ method: 'PUT', path: '/test/_doc/1', querystring: {}, body: { ...doc, date: '2020-01-01' } }), null)
+  t.is(mock.get({ method: 'PUT', path: '/test/_doc/1', querystring: {}, body: { ...doc, extra: null } }), null)
+  // exact mode still requires the same keys
+  t.is(mock.get({ method: 'PUT', path: '/test/_doc/1', querystring: {}, body: { ...doc, other: true } }), null)
+
+  const search = { index: 'test', routing: 'user-1', query: { match_all: {} }, sort: ['_doc'] }
+  // the global regex is reset at every evaluation
+  t.deepEqual(await client.search(search), { mock: 'regex' })
+  t.deepEqual(await client.search(search), { mock: 'regex' })
+  await t.throwsAsync(client.search({ ...search, routing: 'admin' }), { instanceOf: errors.ResponseError })
+  await t.throwsAsync(client.search({ ...search, query: null }), { instanceOf: errors.ResponseError })
+  await t.throwsAsync(client.search({ ...search, sort: '_doc' }), { instanceOf: errors.ResponseError })
+})
+
+test('arrayContaining follows the matching mode', t => {
+  const mock = new Mock()
+  const resolver = () => ({})
+
+  mock.add({
+    method: 'POST',
+    path: '/exact',
+    body: { filter: Mock.match.arrayContaining([{ term: { foo: 'bar' } }]) }
+  }, resolver)
+
+  mock.add({
+    method: 'POST',
+    path: '/partial',
+    body: { filter: Mock.match.arrayContaining([{ term: { foo: 'bar' } }]) }
+  }, resolver, { match: 'partial' })
+
+  const body = { filter: [{ range: { age: { gte: 18 } } }, { term: { foo: 'bar', boost: 2 } }] }
+  t.is(mock.get({ method: 'POST', path: '/exact', querystring: {}, body }), null)
+  t.is(mock.get({ method: 'POST', path: '/partial', querystring: {}, body }), resolver)
+})
+
+test('Matchers are readable in the pending mocks error', t => {
+  const mock = new Mock()
+
+  mock.add({
+    method: 'POST',
+    path: '/:index/_search',
+    querystring: { routing: Mock.match.regex(/^user-\d+$/) },
+    body: {
+      query: { term: { id: Mock.match.any(String) } },
+      sort: Mock.match.arrayContaining(['@timestamp']),
+      meta: Mock.match.objectContaining({ source: 'app' }),
+      extra: Mock.match.anything(),
+      size: function isPositive (value) { return value > 0 },
+      from: value => value >= 0
+    }
+  }, () => ({}))
+
+  mock.add({
+    method: 'POST',
+    path: '/:index/_count',
+    body: () => true
+  }, () => ({}))
+
+  mock.add({
+    method: 'POST',
+    path: '/:index/_mget',
+    body: { ids: [() => true] }
+  }, () => ({}))
+
+  const err = t.throws(() => mock.assertDone(), { instanceOf: AssertionError })
+  t.is(err.message, [
+    'The following mocks have never been used:',
+    '  - POST /:index/_search querystring={"routing":match.regex(/^user-\\d+$/)} ' +
+      'body={"query":{"term":{"id":match.any(String)}},"sort":match.arrayContaining(["@timestamp"]),' +
+      '"meta":match.objectContaining({"source":"app"}),"extra":match.anything(),' +
+      '"size":[Function: isPositive],"from":[Function: from]}',
+    '  - POST /:index/_count body=[Function: body]',
+    '  - POST /:index/_mget body={"ids":[[Function]]}'
+  ].join('\n'))
+
+  // the matchers are readable when serialized as JSON as well
+  t.is(JSON.stringify({ id: Mock.match.any(String) }), '{"id":"match.any(String)"}')
+})
+
+test('Matchers should validate their arguments', t => {
+  t.is(Mock.match, require('./').match)
+
+  const cases = [
+    [() => Mock.match.any('string'), 'match.any expects a constructor'],
+    [() => Mock.match.regex('logs-.*'), 'match.regex expects a regular expression'],
+    [() => Mock.match.arrayContaining('foo'), 'match.arrayContaining expects an array'],
+    [() => Mock.match.objectContaining(null), 'match.objectContaining expects an object'],
+    [() => Mock.match.objectContaining(['foo']), 'match.objectContaining expects an object']
+  ]
+  for (const [fn, message] of cases) {
+    const err = t.throws(fn, { instanceOf: errors.ConfigurationError })
+    t.is(err.message, message)
+  }
+})
+
+test('Specificity ordering with matchers', t => {
+  const mock = new Mock({ match: 'partial' })
+  const loose = () => ({})
+  const precise = () => ({})
+
+  mock.add({
+    method: 'POST',
+    path: '/_search',
+    body: { query: Mock.match.anything() }
+  }, loose)
+
+  mock.add({
+    method: 'POST',
+    path: '/_search',
+    body: { query: Mock.match.anything(), size: 10 }
+  }, precise)
+
+  t.is(mock.get({ method: 'POST', path: '/_search', querystring: {}, body: { query: {}, size: 10 } }), precise)
+  t.is(mock.get({ method: 'POST', path: '/_search', querystring: {}, body: { query: {}, size: 20 } }), loose)
+})
+
+test('Should match on request headers', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/:index/_count'
+  }, () => {
+    return { count: 0 }
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/:index/_count',
+    headers: { Authorization: 'ApiKey tenant-a' }
+  }, () => {
+    return { count: 1 }
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/:index/_count',
+    headers: {
+      authorization: 'ApiKey tenant-b',
+      'x-opaque-id': Mock.match.regex(/^job-/)
+    }
+  }, () => {
+    return { count: 2 }
+  })
+
+  t.deepEqual(await client.count({ index: 'foo' }), { count: 0 })
+  t.deepEqual(await client.count({ index: 'foo' }, {
+    headers: { authorization: 'ApiKey tenant-a' }
+  }), { count: 1 })
+  t.deepEqual(await client.count({ index: 'foo' }, {
+    headers: { authorization: 'ApiKey tenant-b' },
+    opaqueId: 'job-1'
+  }), { count: 2 })
+  t.deepEqual(await client.count({ index: 'foo' }, {
+    headers: { authorization: 'ApiKey tenant-b' },
+    opaqueId: 'request-1'
+  }), { count: 0 })
+})
+
+test('Should match on the compatibility headers', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/',
+    headers: headers => headers.accept.includes('compatible-with=9')
+  }, () => {
+    return { version: { number: '9.0.0' } }
+  })
+
+  t.deepEqual(await client.info(), { version: { number: '9.0.0' } })
+  await t.throwsAsync(client.info({}, {
+    headers: { accept: 'application/json' }
+  }), { instanceOf: errors.ResponseError })
+})
+
+test('Resolvers receive the request headers', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/'
+  }, params => {
+    return { tenant: params.headers['x-tenant-id'] }
+  })
+
+  t.deepEqual(await client.info({}, { headers: { 'X-Tenant-Id': 'foo' } }), { tenant: 'foo' })
+  t.is(mock.lastCall().headers['x-tenant-id'], 'foo')
+})
+
+test('Filter the call history by headers', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/:index/_count'
+  }, () => {
+    return { count: 42 }
+  })
+
+  await client.count({ index: 'foo' }, { headers: { authorization: 'ApiKey tenant-a' } })
+  await client.count({ index: 'foo' }, { headers: { authorization: 'ApiKey tenant-b' } })
+  await client.count({ index: 'bar' }, { headers: { authorization: 'ApiKey tenant-a' } })
+
+  const calls = mock.calls({
+    method: 'GET',
+    path: '/:index/_count',
+    headers: { Authorization: 'ApiKey tenant-a' }
+  })
+  t.deepEqual(calls.map(call => call.path), ['/foo/_count', '/bar/_count'])
+})
+
+test('Headers are readable in the pending mocks error', t => {
+  const mock = new Mock()
+
+  mock.add({
+    method: 'GET',
+    path: '/',
+    headers: { Authorization: 'ApiKey tenant-a' }
+  }, () => ({}))
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/health',
+    headers: Mock.match.objectContaining({ authorization: 'ApiKey tenant-b' })
+  }, () => ({}))
+
+  const err = t.throws(() => mock.assertDone(), { instanceOf: AssertionError })
+  t.is(err.message, [
+    'The following mocks have never been used:',
+    '  - GET / headers={"authorization":"ApiKey tenant-a"}',
+    '  - GET /_cat/health headers=match.objectContaining({"authorization":"ApiKey tenant-b"})'
+  ].join('\n'))
+})
+
+test('Should respond with a custom status code and headers', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'PUT',
+    path: '/:index'
+  }, () => {
+    return Mock.response({
+      statusCode: 201,
+      headers: { Warning: '299 Elasticsearch-9.0.0 "this request is deprecated"' },
+      body: { acknowledged: true, shards_acknowledged: true, index: 'test' }
+    })
+  })
+
+  const response = await client.indices.create({ index: 'test' }, { meta: true })
+  t.is(response.statusCode, 201)
+  t.deepEqual(response.body, { acknowledged: true, shards_acknowledged: true, index: 'test' })
+  t.deepEqual(response.warnings, ['299 Elasticsearch-9.0.0 "this request is deprecated"'])
+  t.is(response.headers['content-type'], 'application/json;utf=8')
+  t.is(response.headers['x-elastic-product'], 'Elasticsearch')
+  t.is(response.headers['content-length'], Buffer.byteLength(JSON.stringify(response.body)))
+  t.is(typeof response.headers.date, 'string')
+  t.is(mock.lastCall().statusCode, 201)
+})
+
+test('Should respond to HEAD requests with a 404 envelope', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'HEAD',
+    path: '/foo'
+  }, () => Mock.response({ statusCode: 404 }))
+
+  mock.add({
+    method: 'HEAD',
+    path: '/bar'
+  }, async () => Mock.response({}))
+
+  t.false(await client.indices.exists({ index: 'foo' }))
+  t.true(await client.indices.exists({ index: 'bar' }))
+  t.deepEqual(mock.calls().map(call => call.statusCode), [404, 200])
+})
+
+test('Envelopes can override the content type and the default headers', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/indices'
+  }, () => {
+    return Mock.response({
+      headers: { 'content-type': 'text/csv' },
+      body: 'health,index\ngreen,test'
+    })
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/health'
+  }, () => {
+    return Mock.response({
+      statusCode: 400,
+      body: { error: { type: 'illegal_argument_exception' }, status: 400 }
+    })
+  })
+
+  mock.addSequence({
+    method: 'GET',
+    path: '/'
+  }, [
+    Mock.response({ statusCode: 503, body: { error: 'unavailable' } }),
+    { version: { number: '9.0.0' } }
+  ])
+
+  const response = await client.cat.indices({}, { meta: true })
+  t.is(response.body, 'health,index\ngreen,test')
+  t.is(response.headers['content-type'], 'text/csv')
+
+  const err = await t.throwsAsync(client.cat.health(), { instanceOf: errors.ResponseError })
+  t.is(err.statusCode, 400)
+  t.deepEqual(err.body, { error: { type: 'illegal_argument_exception' }, status: 400 })
+
+  // the client retries on 503
+  t.deepEqual(await client.info(), { version: { number: '9.0.0' } })
+})
+
+test('Envelopes can trigger the client product check', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/'
+  }, () => {
+    return Mock.response({
+      headers: { 'x-elastic-product': 'Other' },
+      body: { version: { number: '9.0.0' } }
+    })
+  })
+
+  await t.throwsAsync(client.info(), { instanceOf: errors.ProductNotSupportedError })
+})
+
+test('Mock.response should validate the envelope', t => {
+  t.is(Mock.response, require('./').response)
+
+  const cases = [
+    [null, 'The response envelope must be an object'],
+    ['ok', 'The response envelope must be an object'],
+    [{ statusCode: '201' }, 'The response status code must be an integer between 100 and 599'],
+    [{ statusCode: 42 }, 'The response status code must be an integer between 100 and 599'],
+    [{ statusCode: 600 }, 'The response status code must be an integer between 100 and 599'],
+    [{ headers: null }, 'The response headers must be an object'],
+    [{ headers: 'foo' }, 'The response headers must be an object']
+  ]
+  for (const [envelope, message] of cases) {
+    const err = t.throws(() => Mock.response(envelope), { instanceOf: errors.ConfigurationError })
+    t.is(err.message, message)
+  }
+})
+
+test('Should stream the response body when the client asks for it', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+  const read = async stream => {
+    const chunks = []
+    for await (const chunk of stream) chunks.push(chunk)
+    return chunks
+  }
+
+  mock.add({ method: 'GET', path: '/_cat/indices' }, () => 'green open test\n')
+  mock.add({ method: 'GET', path: '/_cat/shards' }, () => intoStream(['test 0 p ', 'STARTED\n']))
+  mock.add({ method: 'POST', path: '/_query' }, async function * () {
+    yield '{"columns":'
+    yield Buffer.from('[]}')
+  }, { chunkSize: 4, chunkDelay: 1 })
+  mock.add({ method: 'GET', path: '/_info' }, () => Mock.response({ statusCode: 503, body: { error: 'unavailable' } }))
+
+  const indices = await client.cat.indices({}, { asStream: true, meta: true })
+  const chunks = await read(indices.body)
+  t.true(chunks.every(chunk => Buffer.isBuffer(chunk)))
+  t.is(Buffer.concat(chunks).toString(), 'green open test\n')
+  t.is(indices.headers['content-length'], 16)
+
+  const shards = await client.cat.shards({}, { asStream: true, meta: true })
+  t.deepEqual((await read(shards.body)).map(String), ['test 0 p ', 'STARTED\n'])
+  t.is(shards.headers['transfer-encoding'], 'chunked')
+  t.is(shards.headers['content-type'], 'application/octet-stream')
+  t.is(await client.cat.shards(), 'test 0 p STARTED\n')
+
+  const query = await client.transport.request({ method: 'POST', path: '/_query', body: {} }, { asStream: true })
+  t.deepEqual((await read(query)).map(String), ['{"co', 'lumn', 's":', '[]}'])
+  const result = await client.transport.request({ method: 'POST', path: '/_query', body: {} })
+  t.is(result, '{"columns":[]}')
+
+  // the errors are not thrown for streamed responses, like with a real connection
+  const info = await client.transport.request({ method: 'GET', path: '/_info' }, { asStream: true, meta: true })
+  t.is(info.statusCode, 503)
+  t.deepEqual(JSON.parse(Buffer.concat(await read(info.body))), { error: 'unavailable' })
+})
+
+test('Should send binary payloads and read streamed bodies in full', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({ method: 'GET', path: '/_binary' }, () => Buffer.from([1, 2, 3]))
+  mock.add({ method: 'GET', path: '/_json' }, () => Mock.response({
+    headers: { 'content-type': 'application/json' },
+    body: intoStream(['{"status":', '"ok"}'])
+  }))
+  mock.add({ method: 'GET', path: '/_broken' }, async function * () {
+    yield 'partial'
+    throw new Error('kaboom')
+  })
+
+  const binary = await client.transport.request({ method: 'GET', path: '/_binary' }, { meta: true })
+  t.is(binary.headers['content-length'], 3)
+  t.is(binary.body, '\u0001\u0002\u0003')
+  t.deepEqual(await client.transport.request({ method: 'GET', path: '/_json' }), { status: 'ok' })
+  await t.throwsAsync(client.transport.request({ method: 'GET', path: '/_broken' }, { maxRetries: 0 }), {
+    instanceOf: errors.ConnectionError,
+    message: 'kaboom'
+  })
+})
+
+test('Should compress the responses when the client accepts gzip', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    compression: true,
+    Connection: mock.getConnection()
+  })
+
+  mock.add({ method: 'GET', path: '/_cluster/health' }, () => ({ status: 'green' }))
+  mock.add({ method: 'GET', path: '/_cat/indices' }, () => intoStream(['green open ', 'test\n']))
+  mock.add({ method: 'GET', path: '/_cat/shards' }, () => Mock.response({
+    headers: { 'content-encoding': 'gzip' },
+    body: gzipSync('test 0 p STARTED\n')
+  }))
+
+  const health = await client.cluster.health({}, { meta: true })
+  t.deepEqual(health.body, { status: 'green' })
+  t.is(health.headers['content-encoding'], 'gzip')
+  t.is(health.headers['content-length'], gzipSync(JSON.stringify({ status: 'green' })).length)
+
+  t.is(await client.cat.indices(), 'green open test\n')
+  const stream = await client.cat.indices({}, { asStream: true, meta: true })
+  t.is(stream.headers['content-encoding'], 'gzip')
+  const chunks = []
+  for await (const chunk of stream.body) chunks.push(chunk)
+  t.is(gunzipSync(Buffer.concat(chunks)).toString(), 'green open test\n')
+
+  // a body that is already encoded is not compressed twice
+  t.is(await client.cat.shards(), 'test 0 p STARTED\n')
+
+  const plain = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+  const response = await plain.cluster.health({}, { meta: true })
+  t.is(response.headers['content-encoding'], undefined)
+})
+
+test('Should return the binary payloads with their content type', async t => {
+  const mock = new Mock()
+  const arrow = Buffer.from([0xff, 0xff, 0xff, 0xff, 0x00, 0x01])
+  const cbor = Buffer.from([0xa1, 0x66, 0x73, 0x74, 0x61, 0x74, 0x75, 0x73, 0x62, 0x6f, 0x6b])
+
+  mock.add({ method: 'POST', path: '/_query' }, () => Mock.response({
+    headers: { 'content-type': 'application/vnd.apache.arrow.stream' },
+    body: arrow
+  }))
+  mock.add({ method: 'GET', path: '/_cluster/health' }, () => Mock.response({
+    headers: { 'content-type': 'application/cbor' },
+    body: cbor
+  }))
+
+  for (const compression of [false, true]) {
+    const client = new Client({
+      node: 'http://localhost:9200',
+      compression,
+      Connection: mock.getConnection()
+    })
+    const query = await client.esql.query({ query: 'FROM test', format: 'arrow' }, { meta: true })
+    t.true(Buffer.isBuffer(query.body))
+    t.deepEqual(query.body, arrow)
+    t.is(query.headers['content-type'], 'application/vnd.apache.arrow.stream')
+    t.deepEqual(await client.transport.request({ method: 'GET', path: '/_cluster/health' }), cbor)
+  }
+})
+
+test('.add should throw if the chunk options are not valid', t => {
+  const mock = new Mock()
+
+  for (const chunkSize of [0, -1, 1.5, '4', null]) {
+    const err = t.throws(() => mock.add({ method: 'GET', path: '/' }, () => ({}), { chunkSize }), {
+      instanceOf: errors.ConfigurationError
+    })
+    t.is(err.message, 'The chunkSize option must be a positive integer')
+  }
+  for (const chunkDelay of [-1, '10', null]) {
+    const err = t.throws(() => mock.add({ method: 'GET', path: '/' }, () => ({}), { chunkDelay }), {
+      instanceOf: errors.ConfigurationError
+    })
+    t.is(err.message, 'The chunkDelay option must be a non negative number')
+  }
+})
+
+test('The unmatched response lists the near misses', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/:index/_search',
+    querystring: { pretty: 'true' },
+    body: { query: { match: { foo: 'bar' } }, size: 10 }
+  }, () => ({}))
+
+  mock.add({
+    method: 'POST',
+    path: '/:index/_search',
+    body: { query: { term: { id: Mock.match.any(Number) } } }
+  }, () => ({}))
+
+  mock.add({
+    method: 'PUT',
+    path: '/:index/_search'
+  }, () => ({}))
+
+  mock.add({
+    method: 'DELETE',
+    path: '/:index'
+  }, () => ({}))
+
+  const err = await t.throwsAsync(client.search({
+    index: 'test',
+    query: { match: { foo: 'baz' } },
+    from: 0
+  }), { instanceOf: errors.ResponseError })
+
+  t.is(err.statusCode, 404)
+  t.is(err.body.error, 'Mock not found')
+  t.deepEqual(err.body.candidates, [{
+    pattern: { method: 'PUT', path: '/:index/_search' },
+    mismatches: ['method'],
+    diff: {}
+  }, {
+    pattern: {
+      method: 'POST',
+      path: '/:index/_search',
+      body: { query: { term: { id: 'match.any(Number)' } } }
+    },
+    mismatches: ['body'],
+    diff: {
+      body: [
+        { op: 'missing', path: '/query/term', expected: { id: 'match.any(Number)' } },
+        { op: 'unexpected', path: '/query/match', actual: { foo: 'baz' } },
+        { op: 'unexpected', path: '/from', actual: 0 }
+      ]
+    }
+  }, {
+    pattern: {
+      method: 'POST',
+      path: '/:index/_search',
+      querystring: { pretty: 'true' },
+      body: { query: { match: { foo: 'bar' } }, size: 10 }
+    },
+    mismatches: ['body', 'querystring'],
+    diff: {
+      body: [
+        { op: 'changed', path: '/query/match/foo', expected: 'bar', actual: 'baz' },
+        { op: 'missing', path: '/size', expected: 10 },
+        { op: 'unexpected', path: '/from', actual: 0 }
+      ],
+      querystring: [
+        { op: 'missing', path: '/pretty', expected: 'true' }
+      ]
+    }
+  }])
+})
+
+test('Near misses with partial patterns, matchers, arrays and headers', async t => {
+  const mock = new Mock({ match: 'partial' })
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/_bulk',
+    body: [{ index: { _index: 'test' } }, { foo: 'bar' }]
+  }, () => ({}))
+
+  mock.add({
+    method: 'POST',
+    path: '/_bulk',
+    body: [{ index: { _index: Mock.match.regex(/^logs-/) } }, Mock.match.anything()],
+    headers: { authorization: 'ApiKey foo' }
+  }, () => ({}))
+
+  mock.add({
+    method: 'POST',
+    path: '/_bulk',
+    querystring: { refresh: value => value === 'true' },
+    body: { 'a/b~c': 1, nested: { foo: 'bar' } }
+  }, () => ({}))
+
+  mock.add({
+    method: 'POST',
+    path: '/:index/_search',
+    querystring: { refresh: value => value === 'true' },
+    body: { 'a/b~c': 1, nested: { foo: 'bar' } }
+  }, () => ({}))
+
+  let err = await t.throwsAsync(client.bulk({
+    refresh: false,
+    operations: [{ index: { _index: 'test', _id: '1' } }, { foo: 'baz' }]
+  }, {
+    headers: { authorization: 'ApiKey bar' }
+  }), { instanceOf: errors.ResponseError })
+
+  t.deepEqual(err.body.candidates.map(candidate => candidate.diff), [{
+    body: [{ op: 'changed', path: '/1/foo', expected: 'bar', actual: 'baz' }]
+  }, {
+    body: [
+      { op: 'changed', path: '/0/index/_index', expected: 'match.regex(/^logs-/)', actual: 'test' }
+    ],
+    headers: [
+      { op: 'changed', path: '/authorization', expected: '[redacted]', actual: '[redacted]' }
+    ]
+  }, {
+    body: [
+      {
+        op: 'changed',
+        path: '',
+        expected: { 'a/b~c': 1, nested: { foo: 'bar' } },
+        actual: [{ index: { _index: 'test', _id: '1' } }, { foo: 'baz' }]
+      }
+    ],
+    querystring: [
+      { op: 'changed', path: '/refresh', expected: '[Function: refresh]', actual: 'false' }
+    ]
+  }])
+
+  err = await t.throwsAsync(client.search({
+    index: 'test',
+    'a/b~c': 2,
+    nested: 'foo'
+  }), { instanceOf: errors.ResponseError })
+
+  t.deepEqual(err.body.candidates[0].diff, {
+    body: [
+      { op: 'changed', path: '/a~1b~0c', expected: 1, actual: 2 },
+      { op: 'changed', path: '/nested', expected: { foo: 'bar' }, actual: 'foo' }
+    ],
+    querystring: [
+      { op: 'missing', path: '/refresh', expected: '[Function: refresh]' }
+    ]
+  })
+})
+
+test('Near misses with a different array length', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/_bulk',
+    body: [{ index: { _index: 'test' } }, { foo: 'bar' }]
+  }, () => ({}))
+
+  const err = await t.throwsAsync(client.bulk({
+    operations: [{ delete: { _index: 'test', _id: '1' } }]
+  }), { instanceOf: errors.ResponseError })
+
+  t.deepEqual(err.body.candidates[0].diff.body, [{
+    op: 'changed',
+    path: '',
+    expected: [{ index: { _index: 'test' } }, { foo: 'bar' }],
+    actual: [{ delete: { _index: 'test', _id: '1' } }]
+  }])
+})
+
+test('Near misses with a slightly different path or an exhausted mock', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/test/_count'
+  }, () => ({ count: 42 }))
+
+  mock.add({
+    method: 'GET',
+    path: '/foo,bar/_count'
+  }, () => ({ count: 42 }))
+
+  mock.once({
+    method: 'GET',
+    path: '/:index/_doc/:id'
+  }, () => ({ found: true }))
+
+  let err = await t.throwsAsync(client.count({ index: 'Test' }), { instanceOf: errors.ResponseError })
+  t.deepEqual(err.body.candidates, [{
+    pattern: { method: 'GET', path: '/test/_count' },
+    mismatches: ['path'],
+    diff: {}
+  }])
+
+  // the index name is double encoded
+  err = await t.throwsAsync(client.count({ index: 'foo%2Cbar' }), { instanceOf: errors.ResponseError })
+  t.deepEqual(err.body.candidates.map(candidate => candidate.pattern.path), ['/foo,bar/_count'])
+
+  // an invalid escape sequence does not break the diagnostics
+  err = await t.throwsAsync(client.count({ index: 'TEST%zz' }), { instanceOf: errors.ResponseError })
+  t.deepEqual(err.body.candidates, [])
+
+  // a different method and path is not a near miss
+  err = await t.throwsAsync(client.count({ index: 'Test', query: { match_all: {} } }), { instanceOf: errors.ResponseError })
+  t.is(mock.lastCall().method, 'POST')
+  t.deepEqual(err.body.candidates, [])
+
+  await client.get({ index: 'test', id: '1' })
+  err = await t.throwsAsync(client.get({ index: 'test', id: '1' }), { instanceOf: errors.ResponseError })
+  t.deepEqual(err.body.candidates, [{
+    pattern: { method: 'GET', path: '/:index/_doc/:id' },
+    mismatches: ['times'],
+    diff: {}
+  }])
+})
+
+test('At most five near misses are listed', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  for (let i = 0; i < 10; i++) {
+    mock.add({
+      method: 'POST',
+      path: '/test/_search',
+      body: { size: i }
+    }, () => ({}))
+  }
+
+  const err = await t.throwsAsync(client.search({ index: 'test', size: 42 }), { instanceOf: errors.ResponseError })
+  t.is(err.body.candidates.length, 5)
+})
+
+test('Unmatched requests can reject with a MockNotFoundError', async t => {
+  const mock = new Mock({ onUnmatched: 'throw' })
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'POST',
+    path: '/:index/_search',
+    querystring: { pretty: 'true' },
+    body: { query: { match: { foo: 'bar' } }, size: 10 }
+  }, () => ({}))
+
+  let err = await t.throwsAsync(client.search({
+    index: 'test',
+    query: { match: { foo: 'baz' } },
+    from: 0
+  }), { instanceOf: Mock.MockNotFoundError })
+
+  t.true(err instanceof errors.ElasticsearchClientError)
+  t.is(err.name, 'MockNotFoundError')
+  t.is(err.params.path, '/test/_search')
+  t.is(err.candidates.length, 1)
+  t.is(err.message, [
+    'Mock not found for POST /test/_search',
+    'The closest mocks are:',
+    '  - POST /:index/_search querystring={"pretty":"true"} body={"query":{"match":{"foo":"bar"}},"size":10} (mismatches: body, querystring)',
+    '      body/query/match/foo: expected "bar", received "baz"',
+    '      body/size: missing, expected 10',
+    '      body/from: unexpected 0',
+    '      querystring/pretty: missing, expected "true"'
+  ].join('\n'))
+  t.is(mock.lastCall().pattern, 'unmatched')
+  t.is(mock.lastCall().statusCode, null)
+
+  err = await t.throwsAsync(client.info(), { instanceOf: Mock.MockNotFoundError })
+  t.is(err.message, 'Mock not found for GET /')
+  // the error is not retried
+  t.is(mock.calls().length, 2)
+})
+
+test('Unmatched requests can be handled by a fallback resolver', async t => {
+  const mock = new Mock({
+    onUnmatched: async params => {
+      if (params.method === 'HEAD') return ''
+      if (params.path === '/') {
+        return new errors.ResponseError({
+          body: { error: 'unavailable', status: 400 },
+          statusCode: 400
+        })
+      }
+      return Mock.response({ statusCode: 202, body: { fallback: params.path } })
+    }
+  })
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/health'
+  }, () => {
+    return { status: 'green' }
+  })
+
+  t.deepEqual(await client.cat.health(), { status: 'green' })
+
+  const response = await client.cat.indices({}, { meta: true })
+  t.is(response.statusCode, 202)
+  t.deepEqual(response.body, { fallback: '/_cat/indices' })
+  t.true(await client.indices.exists({ index: 'test' }))
+  await t.throwsAsync(client.info(), { instanceOf: errors.ResponseError })
+
+  t.deepEqual(mock.calls().map(call => [call.pattern, call.statusCode]), [
+    [{ method: 'GET', path: '/_cat/health' }, 200],
+    ['unmatched', 202],
+    ['unmatched', 200],
+    ['unmatched', 400]
+  ])
+})
+
+test('Unmatched requests can be forwarded to a real node', async t => {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.setEncoding('utf8')
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body })
+      const payload = JSON.stringify({ forwarded: true })
+      res.writeHead(req.url.startsWith('/missing') ? 404 : 200, {
+        'content-type': 'application/json',
+        'x-elastic-product': 'Elasticsearch',
+        'x-forwarded-by': 'test-server'
+      })
+      res.end(payload)
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.teardown(() => server.close())
+
+  const mock = new Mock({ onUnmatched: { passthrough: `http://127.0.0.1:${server.address().port}/` } })
+  const client = new Client({
+    node: 'http://localhost:9200',
+    compression: true,
+    Connection: mock.getConnection()
+  })
+
+  mock.add({
+    method: 'GET',
+    path: '/_cat/health'
+  }, () => {
+    return { status: 'green' }
+  })
+
+  t.deepEqual(await client.cat.health(), { status: 'green' })
+
+  const response = await client.search({
+    index: 'foo,bar',
+    q: 'foo:bar',
+    query: { match_all: {} }
+  }, { meta: true, headers: { authorization: 'ApiKey foo' } })
+  t.deepEqual(response.body, { forwarded: true })
+  t.is(response.headers['x-forwarded-by'], 'test-server')
+
+  await client.bulk({ operations: [{ index: { _index: 'test' } }, { foo: 'bar' }] })
+  await client.info()
+
+  await t.throwsAsync(client.get({ index: 'missing', id: '1' }), { instanceOf: errors.ResponseError })
+  await client.get({ index: 'test', id: 'a?b#c' })
+  await client.get({ index: 'test', id: 'a/b%c' })
+
+  t.is(requests.length, 6)
+  t.is(requests[0].method, 'POST')
+  t.is(requests[0].url, '/foo%2Cbar/_search?q=foo%3Abar')
+  t.is(requests[0].headers.authorization, 'ApiKey foo')
+  t.is(requests[0].headers['content-encoding'], undefined)
+  t.is(requests[0].headers['accept-encoding'], undefined)
+  t.deepEqual(JSON.parse(requests[0].body), { query: { match_all: {} } })
+  t.is(requests[1].url, '/_bulk')
+  t.is(requests[1].body, '{"index":{"_index":"test"}}\n{"foo":"bar"}\n')
+  t.is(requests[2].url, '/')
+  t.is(requests[2].body, '')
+  t.is(requests[4].url, '/test/_doc/a%3Fb%23c')
+  t.is(requests[5].url, '/test/_doc/a%2Fb%25c')
+  t.deepEqual(mock.calls().map(call => call.statusCode), [200, 200, 200, 200, 404, 200, 200])
+})
+
+test('A failing passthrough node is a connection error', async t => {
+  const server = http.createServer()
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+  await new Promise(resolve => server.close(resolve))
+
+  const mock = new Mock({ onUnmatched: { passthrough: `http://127.0.0.1:${port}` } })
+  const client = new Client({
+    node: 'http://localhost:9200',
+    maxRetries: 0,
+    Connection: mock.getConnection()
+  })
+
+  await t.throwsAsync(client.info(), { instanceOf: errors.ConnectionError })
+})
+
+test('Should throw on an invalid onUnmatched option', t => {
+  const cases = [
+    ['ignore', 'The onUnmatched option must be \'notFound\', \'throw\', a function or a passthrough node'],
+    [null, 'The onUnmatched option must be \'notFound\', \'throw\', a function or a passthrough node'],
+    [{ passthrough: 9200 }, 'The onUnmatched option must be \'notFound\', \'throw\', a function or a passthrough node'],
+    [{ passthrough: 'localhost' }, 'Invalid passthrough node: localhost']
+  ]
+  for (const [onUnmatched, message] of cases) {
+    // eslint-disable-next-line no-new
+    const err = t.throws(() => { new Mock({ onUnmatched }) }, { instanceOf: errors.ConfigurationError })
+    t.is(err.message, message)
+  }
+
+  t.notThrows(() => new Mock({ onUnmatched: 'notFound' }))
+  t.is(Mock.MockNotFoundError, require('./').MockNotFoundError)
+})
+
+test('Should record the unmatched requests and replay them', async t => {
+  let counter = 0
+  const arrow = Buffer.from([0xff, 0xff, 0xff, 0xff, 0xe2, 0x82, 0x00, 0x01])
+  const server = http.createServer((req, res) => {
+    req.resume()
+    req.on('end', () => {
+      const headers = { 'x-elastic-product': 'Elasticsearch', 'x-recorded-by': 'test-server' }
+      if (req.method === 'HEAD') {
+        res.writeHead(404, headers)
+        return res.end()
+      }
+      if (req.url.startsWith('/_cat')) {
+        res.writeHead(200, { ...headers, 'content-type': 'text/plain' })
+        return res.end('green\n')
+      }
+      if (req.url.startsWith('/_query')) {
+        res.writeHead(200, { ...headers, 'content-type': 'application/vnd.apache.arrow.stream' })
+        return res.end(arrow)
+      }
+      res.writeHead(200, { ...headers, 'content-type': 'application/json' })
+      res.end(JSON.stringify({ count: counter++ }))
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.teardown(() => server.close())
+
+  const fixture = join(tmpdir(), `elasticsearch-mock-${process.pid}`, 'recordings', 'count.json')
+  t.teardown(() => rmSync(dirname(dirname(fixture)), { recursive: true, force: true }))
+
+  const recorder = new Mock({ record: { node: `http://127.0.0.1:${server.address().port}`, fixture } })
+  recorder.add({ method: 'GET', path: '/' }, () => ({ mocked: true }))
+  const client = new Client({
+    node: 'http://localhost:9200',
+    compression: true,
+    Connection: recorder.getConnection()
+  })
+
+  t.deepEqual(await client.info(), { mocked: true })
+  t.deepEqual(await client.count({ index: 'test', query: { match_all: {} } }), { count: 0 })
+  t.deepEqual(await client.count({ index: 'test', query: { match_all: {} } }), { count: 1 })
+  t.deepEqual(await client.count({ index: 'test', q: 'foo:bar' }), { count: 2 })
+  t.false(await client.indices.exists({ index: 'test' }))
+  t.is(await client.cat.health(), 'green\n')
+  t.deepEqual(await client.esql.query({ query: 'FROM test', format: 'arrow' }), arrow)
+
+  const recordings = JSON.parse(readFileSync(fixture, 'utf8'))
+  t.is(recordings.length, 6)
+  t.deepEqual(recordings[0], {
+    pattern: { method: 'POST', path: '/test/_count', body: { query: { match_all: {} } } },
+    response: {
+      statusCode: 200,
+      headers: {
+        'content-type': 'application/json',
+        'x-elastic-product': 'Elasticsearch',
+        'x-recorded-by': 'test-server'
+      },
+      body: { count: 0 }
+    }
+  })
+  t.deepEqual(recordings[2].pattern, { method: 'GET', path: '/test/_count', querystring: { q: 'foo:bar' } })
+  t.is(recordings[3].response.statusCode, 404)
+  t.is(recordings[3].response.body, '')
+  t.is(recordings[4].response.body, 'green\n')
+  t.is(recordings[5].response.body, arrow.toString('base64'))
+  t.is(recordings[5].response.bodyEncoding, 'base64')
+
+  const mock = new Mock().replay(fixture)
+  const replayClient = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  t.deepEqual(await replayClient.count({ index: 'test', query: { match_all: {} } }), { count: 0 })
+  t.deepEqual(await replayClient.count({ index: 'test', query: { match_all: {} } }), { count: 1 })
+  t.deepEqual(await replayClient.count({ index: 'test', query: { match_all: {} } }), { count: 1 })
+  t.deepEqual(await replayClient.count({ index: 'test', q: 'foo:bar' }), { count: 2 })
+  t.false(await replayClient.indices.exists({ index: 'test' }))
+  const response = await replayClient.cat.health({}, { meta: true })
+  t.is(response.body, 'green\n')
+  t.is(response.headers['x-recorded-by'], 'test-server')
+  t.deepEqual(await replayClient.esql.query({ query: 'FROM test', format: 'arrow' }), arrow)
+
+  // the replayed patterns are exact
+  await t.throwsAsync(replayClient.count({ index: 'test', query: { match: { foo: 'bar' } } }), {
+    instanceOf: errors.ResponseError
+  })
+  await t.throwsAsync(replayClient.info(), { instanceOf: errors.ResponseError })
+})
+
+test('Should throw on an invalid record option or fixture', t => {
+  const cases = [
+    [null, 'The record option must have a node and a fixture path'],
+    [{ node: 'http://localhost:9200' }, 'The record option must have a node and a fixture path'],
+    [{ node: 'localhost', fixture: 'test.json' }, 'Invalid record node: localhost']
+  ]
+  for (const [record, message] of cases) {
+    // eslint-disable-next-line no-new
+    const err = t.throws(() => { new Mock({ record }) }, { instanceOf: errors.ConfigurationError })
+    t.is(err.message, message)
+  }
+
+  t.throws(() => {
+    // eslint-disable-next-line no-new
+    new Mock({ record: { node: 'http://localhost:9200', fixture: 'test.json' }, onUnmatched: 'throw' })
+  }, {
+    instanceOf: errors.ConfigurationError,
+    message: 'The record and onUnmatched options cannot be used together'
+  })
+
+  const fixture = join(tmpdir(), `elasticsearch-mock-${process.pid}-invalid.json`)
+  writeFileSync(fixture, JSON.stringify({ pattern: { method: 'GET', path: '/' } }))
+  t.teardown(() => rmSync(fixture, { force: true }))
+  t.throws(() => new Mock().replay(fixture), {
+    instanceOf: errors.ConfigurationError,
+    message: `The fixture ${fixture} must contain an array of recordings`
+  })
+})
+
+test('Should load the mocks from fixture entries', async t => {
+  const mock = new Mock()
+  const client = new Client({
+    node: 'http://localhost:9200',
+    maxRetries: 0,
+    Connection: mock.getConnection()
+  })
+
+  mock.add({ method: 'GET', path: '/:index/_refresh' }, () => ({ refreshed: true }))
+  mock.load([
+    {
+      pattern: { method: 'GET', path: '/_cat/health' },
+      response: { body: 'green\n' }
+    },
+    {
+      pattern: { method: 'PUT', path: '/:index' },
+      response: { statusCode: 201, headers: { 'X-Fixture': 'create' }, body: { acknowledged: true } },
+      times: 1
+    },
+    {
+      pattern: { method: 'PUT', path: '/:index' },
+      error: {
+        statusCode: 400,
+        body: { error: { type: 'resource_already_exists_exception' }, status: 400 }
+      }
+    },
+    {
+      pattern: { method: 'POST', path: '/:index/_count' },
+      error: { body: { error: { type: 'search_phase_execution_exception' }, status: 500 } },
+      match: 'partial'
+    },
+    {
+      pattern: { method: 'GET', path: '/' },
+      error: { name: 'ConnectionError', message: 'kaboom' },
+      delay: 10
+    },
+    {
+      pattern: { method: 'GET', path: '/:index/_refresh' },
+      sequence: [
+        { response: { body: { _shards: { failed: 0 } } } },
+        { error: { name: 'TimeoutError', message: 'slow refresh' } }
+      ],
+      onExhausted: 'notFound'
+    }
+  ])
+
+  t.is(await client.cat.health(), 'green\n')
+
+  const created = await client.indices.create({ index: 'test' }, { meta: true })
+  t.is(created.statusCode, 201)
+  t.is(created.headers['x-fixture'], 'create')
+  t.deepEqual(created.body, { acknowledged: true })
+  const exists = await t.throwsAsync(client.indices.create({ index: 'test' }), { instanceOf: errors.ResponseError })
+  t.is(exists.statusCode, 400)
+  t.is(exists.message, 'resource_already_exists_exception')
+
+  const failure = await t.throwsAsync(client.count({ index: 'test', query: { match_all: {} } }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(failure.statusCode, 500)
+
+  await t.throwsAsync(client.info(), { instanceOf: errors.ConnectionError, message: 'kaboom' })
+
+  t.deepEqual(await client.indices.refresh({ index: 'test' }), { _shards: { failed: 0 } })
+  await t.throwsAsync(client.indices.refresh({ index: 'test' }), { instanceOf: errors.TimeoutError })
+  t.deepEqual(await client.indices.refresh({ index: 'test' }), { refreshed: true })
+})
+
+test('Should load the mocks from JSON and YAML fixture files', async t => {
+  const dir = join(tmpdir(), `elasticsearch-mock-${process.pid}-fixtures`)
+  mkdirSync(dir, { recursive: true })
+  t.teardown(() => rmSync(dir, { recursive: true, force: true }))
+
+  writeFileSync(join(dir, 'health.json'), JSON.stringify([{
+    pattern: { method: 'GET', path: '/_cat/health' },
+    response: { body: 'green\n' }
+  }]))
+  writeFileSync(join(dir, 'search.yaml'), [
+    '- pattern:',
+    '    method: POST',
+    '    path: /:index/_search',
+    '    body:',
+    '      query:',
+    '        match:',
+    '          title: elasticsearch',
+    '  response:',
+    '    body:',
+    '      hits:',
+    '        total: { value: 1, relation: eq }',
+    '        hits:',
+    '          - _id: "1"',
+    '            _source: { title: elasticsearch }',
+    '- pattern: { method: GET, path: /_cluster/health }',
+    '  error:',
+    '    statusCode: 503',
+    '    headers: { retry-after: "10" }',
+    ''
+  ].join('\n'))
+
+  const mock = new Mock()
+    .load(join(dir, 'health.json'))
+    .load(join(dir, 'search.yaml'))
+  const client = new Client({
+    node: 'http://localhost:9200',
+    maxRetries: 0,
+    Connection: mock.getConnection()
+  })
+
+  t.is(await client.cat.health(), 'green\n')
+  const response = await client.search({ index: 'test', query: { match: { title: 'elasticsearch' } } })
+  t.deepEqual(response.hits.hits, [{ _id: '1', _source: { title: 'elasticsearch' } }])
+  const err = await t.throwsAsync(client.cluster.health(), { instanceOf: errors.ResponseError })
+  t.is(err.statusCode, 503)
+  t.is(err.headers['retry-after'], '10')
+
+  writeFileSync(join(dir, 'broken.yml'), '- pattern: [')
+  t.throws(() => mock.load(join(dir, 'broken.yml')), {
+    instanceOf: errors.ConfigurationError,
+    message: new RegExp(`^Cannot parse the fixture ${join(dir, 'broken.yml')}: `)
+  })
+  writeFileSync(join(dir, 'broken.json'), '[{ "pattern": ')
+  t.throws(() => mock.load(join(dir, 'broken.json')), {
+    instanceOf: errors.ConfigurationError,
+    message: new RegExp(`^Cannot parse the fixture ${join(dir, 'broken.json')}: `)
+  })
+})
+
+test('Should throw on invalid fixture entries', t => {
+  const pattern = { method: 'GET', path: '/' }
+  const cases = [
+    [{ pattern }, 'The fixtures must be an array of mock entries'],
+    [[null], 'Invalid fixture entry #0: The entry must be an object'],
+    [[{ pattern, response: {}, status: 200, foo: true }], 'Invalid fixture entry #0: Unknown keys: status, foo'],
+    [[{ response: {} }], 'Invalid fixture entry #0: The pattern is not defined'],
+    [[{ pattern, response: {} }, { pattern: { path: '/' }, response: {} }], 'Invalid fixture entry #1: The method is not defined'],
+    [[{ pattern }], 'Invalid fixture entry #0: Expected either a response or an error'],
+    [[{ pattern, response: {}, error: {} }], 'Invalid fixture entry #0: Expected either a response or an error'],
+    [[{ pattern, response: 'ok' }], 'Invalid fixture entry #0: The response must be an object'],
+    [[{ pattern, error: null }], 'Invalid fixture entry #0: The error must be an object'],
+    [[{ pattern, response: { hits: [] } }], 'Invalid fixture entry #0: Unknown response keys: hits'],
+    [[{ pattern, error: { type: 'foo' } }], 'Invalid fixture entry #0: Unknown error keys: type'],
+    [[{ pattern, response: { statusCode: 42 } }], 'Invalid fixture entry #0: The response status code must be an integer between 100 and 599'],
+    [[{ pattern, error: { name: 'FooError' } }], 'Invalid fixture entry #0: Unknown error: FooError'],
+    [[{ pattern, response: {}, times: 0 }], 'Invalid fixture entry #0: The times option must be a positive integer'],
+    [[{ pattern, sequence: [], response: {} }], 'Invalid fixture entry #0: A sequence cannot have a response or an error'],
+    [[{ pattern, sequence: {} }], 'Invalid fixture entry #0: The responses sequence must be a non empty array'],
+    [[{ pattern, sequence: [] }], 'Invalid fixture entry #0: The responses sequence must be a non empty array'],
+    [[{ pattern, sequence: [{ response: {} }, null] }], 'Invalid fixture entry #0: Expected either a response or an error'],
+    [[{ pattern, sequence: [{ response: {} }], onExhausted: 'stop' }], 'Invalid fixture entry #0: Unknown onExhausted value: stop'],
+    [[{ pattern, response: { body: 'AA==', bodyEncoding: 'hex' } }], 'Invalid fixture entry #0: The bodyEncoding must be base64, with a string body'],
+    [[{ pattern, error: { body: {}, bodyEncoding: 'base64' } }], 'Invalid fixture entry #0: The bodyEncoding must be base64, with a string body']
+  ]
+  for (const [fixtures, message] of cases) {
+    const err = t.throws(() => new Mock().load(fixtures), { instanceOf: errors.ConfigurationError })
+    t.is(err.message, message)
+  }
+})
+
+test('The memory store should index, get and delete documents', async t => {
+  const mock = new Mock()
+  const store = Mock.memoryStore()
+  mock.use(store)
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  const created = await client.index({ index: 'test', id: '1', document: { title: 'foo' } }, { meta: true })
+  t.is(created.statusCode, 201)
+  t.deepEqual(created.body, {
+    _index: 'test',
+    _id: '1',
+    _version: 1,
+    result: 'created',
+    _shards: { total: 2, successful: 1, failed: 0 },
+    _seq_no: 0,
+    _primary_term: 1
+  })
+
+  const updated = await client.index({ index: 'test', id: '1', document: { title: 'bar' } }, { meta: true })
+  t.is(updated.statusCode, 200)
+  t.is(updated.body.result, 'updated')
+  t.is(updated.body._version, 2)
+  t.is(updated.body._seq_no, 1)
+
+  const generated = await client.index({ index: 'test', document: { title: 'baz' } })
+  t.is(generated.result, 'created')
+  t.is(generated._id.length, 20)
+  t.is(generated._seq_no, 2)
+
+  t.deepEqual(await client.get({ index: 'test', id: '1' }), {
+    _index: 'test',
+    _id: '1',
+    _version: 2,
+    _seq_no: 1,
+    _primary_term: 1,
+    found: true,
+    _source: { title: 'bar' }
+  })
+  t.true(await client.exists({ index: 'test', id: '1' }))
+  t.false(await client.exists({ index: 'test', id: '2' }))
+  t.false(await client.exists({ index: 'missing', id: '1' }))
+
+  const notFound = await t.throwsAsync(client.get({ index: 'test', id: '2' }), { instanceOf: errors.ResponseError })
+  t.is(notFound.statusCode, 404)
+  t.deepEqual(notFound.body, { _index: 'test', _id: '2', found: false })
+
+  const noIndex = await t.throwsAsync(client.get({ index: 'missing', id: '1' }), { instanceOf: errors.ResponseError })
+  t.is(noIndex.statusCode, 404)
+  t.is(noIndex.message, 'index_not_found_exception\n\tRoot causes:\n\t\tindex_not_found_exception: no such index [missing]')
+
+  const deleted = await client.delete({ index: 'test', id: '1' })
+  t.is(deleted.result, 'deleted')
+  t.is(deleted._version, 3)
+  t.is(deleted._seq_no, 3)
+  t.false(await client.exists({ index: 'test', id: '1' }))
+
+  const missing = await t.throwsAsync(client.delete({ index: 'test', id: '1' }), { instanceOf: errors.ResponseError })
+  t.is(missing.statusCode, 404)
+  t.is(missing.body.result, 'not_found')
+  t.is(missing.body._seq_no, 4)
+
+  // the stored documents are copies
+  const source = { tags: ['a'] }
+  await client.index({ index: 'copies', id: '1', document: source })
+  source.tags.push('b')
+  const doc = await client.get({ index: 'copies', id: '1' })
+  t.deepEqual(doc._source, { tags: ['a'] })
+  doc._source.tags.push('c')
+  t.deepEqual(store.documents('copies'), [{ _id: '1', _source: { tags: ['a'] } }])
+  store.documents('copies')[0]._source.tags.push('d')
+  t.deepEqual(store.documents('copies'), [{ _id: '1', _source: { tags: ['a'] } }])
+
+  t.is(store.documents('test').length, 1)
+  t.deepEqual(store.documents('missing'), [])
+  t.is(store.clear(), store)
+  t.deepEqual(store.documents('test'), [])
+  t.false(await client.exists({ index: 'test', id: '1' }))
+
+  const invalid = await t.throwsAsync(client.transport.request({ method: 'PUT', path: '/test/_doc/1' }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(invalid.statusCode, 400)
+  t.is(invalid.body.error.type, 'action_request_validation_exception')
+})
+
+test('The memory store should create and update documents', async t => {
+  const mock = new Mock().use(Mock.memoryStore())
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  const created = await client.create({ index: 'test', id: '1', document: { user: { name: 'foo', age: 42 }, tags: ['a', 'b'] } })
+  t.is(created.result, 'created')
+
+  const conflict = await t.throwsAsync(client.create({ index: 'test', id: '1', document: { title: 'bar' } }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(conflict.statusCode, 409)
+  t.is(conflict.body.error.type, 'version_conflict_engine_exception')
+  t.is(conflict.body.error.reason, '[1]: version conflict, document already exists (current version [1])')
+  t.is(conflict.body.error.index, 'test')
+
+  const updated = await client.update({ index: 'test', id: '1', doc: { user: { age: 43 }, tags: ['c'] } })
+  t.is(updated.result, 'updated')
+  t.is(updated._version, 2)
+  t.deepEqual((await client.get({ index: 'test', id: '1' }))._source, { user: { name: 'foo', age: 43 }, tags: ['c'] })
+
+  const noop = await client.update({ index: 'test', id: '1', doc: { user: { name: 'foo' } } })
+  t.is(noop.result, 'noop')
+  t.is(noop._version, 2)
+  t.deepEqual(noop._shards, { total: 0, successful: 0, failed: 0 })
+  const forced = await client.update({ index: 'test', id: '1', doc: { user: { name: 'foo' } }, detect_noop: false })
+  t.is(forced.result, 'updated')
+  t.is(forced._version, 3)
+
+  const upsert = await client.update({ index: 'test', id: '2', doc: { count: 2 }, upsert: { count: 1 } })
+  t.is(upsert.result, 'created')
+  t.deepEqual((await client.get({ index: 'test', id: '2' }))._source, { count: 1 })
+  await client.update({ index: 'test', id: '3', doc: { count: 3 }, doc_as_upsert: true })
+  t.deepEqual((await client.get({ index: 'test', id: '3' }))._source, { count: 3 })
+
+  const documentMissing = await t.throwsAsync(client.update({ index: 'test', id: '4', doc: { count: 4 } }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(documentMissing.statusCode, 404)
+  t.is(documentMissing.body.error.type, 'document_missing_exception')
+  t.is(documentMissing.body.error.reason, '[4]: document missing')
+
+  const script = await t.throwsAsync(client.update({ index: 'test', id: '1', script: { source: 'ctx._source.count++' } }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(script.statusCode, 400)
+  t.is(script.body.error.type, 'illegal_argument_exception')
+
+  const noDoc = await t.throwsAsync(client.update({ index: 'test', id: '1', upsert: { count: 1 } }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(noDoc.body.error.reason, 'Validation Failed: 1: script or doc is missing;')
+  const noBody = await t.throwsAsync(client.transport.request({ method: 'POST', path: '/test/_update/1' }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(noBody.statusCode, 400)
+})
+
+test('The memory store should keep the ids with a slash or escaped characters', async t => {
+  const store = Mock.memoryStore()
+  const mock = new Mock().use(store)
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  t.is((await client.index({ index: 'test', id: 'x/y', document: { n: 1 } })).result, 'created')
+  await client.create({ index: 'test', id: 'a?b#c%d', document: { n: 2 } })
+  await client.update({ index: 'test', id: 'x/y', doc: { n: 3 } })
+  t.deepEqual((await client.get({ index: 'test', id: 'x/y' }))._source, { n: 3 })
+  t.true(await client.exists({ index: 'test', id: 'a?b#c%d' }))
+  await client.bulk({ operations: [{ index: { _index: 'test', _id: 'p/q' } }, { n: 4 }] })
+  t.is((await client.delete({ index: 'test', id: 'a?b#c%d' })).result, 'deleted')
+  t.deepEqual(store.documents('test').map(doc => doc._id), ['x/y', 'p/q'])
+
+  const get = mock.get({ method: 'GET', path: '/test/_doc/p' })
+  t.deepEqual(get({ method: 'GET', path: '/test/_doc/p', querystring: {} }).body, { _index: 'test', _id: 'p', found: false })
+})
+
+test('The memory store is kept by clearAll', async t => {
+  const mock = new Mock().use(Mock.memoryStore())
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  mock.add({ method: 'GET', path: '/test/_doc/1' }, () => ({ mocked: true }))
+  await client.index({ index: 'test', id: '1', document: { title: 'foo' } })
+  t.deepEqual(await client.get({ index: 'test', id: '1' }), { mocked: true })
+
+  mock.clearAll()
+  t.deepEqual((await client.get({ index: 'test', id: '1' }))._source, { title: 'foo' })
+  t.deepEqual(mock.pendingMocks(), [])
+})
+
+test('The date math of the memory store is relative to its clock', async t => {
+  let clock = Date.UTC(2024, 2, 10)
+  const mock = new Mock().use(Mock.memoryStore({ now: () => clock }))
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+  await client.bulk({
+    operations: [
+      { index: { _index: 'events', _id: '1' } }, { date: '2024-03-09T12:00:00Z' },
+      { index: { _index: 'events', _id: '2' } }, { date: '2024-03-01T00:00:00Z' },
+      { index: { _index: 'events', _id: '3' } }, { date: '2024-01-15T00:00:00Z' }
+    ]
+  })
+  const ids = async query => (await client.search({ index: 'events', query })).hits.hits.map(hit => hit._id)
+
+  t.deepEqual(await ids({ range: { date: { gte: 'now-1d' } } }), ['1'])
+  t.deepEqual(await ids({ bool: { filter: { range: { date: { gte: 'now-2w', lt: 'now' } } } } }), ['1', '2'])
+  const { aggregations } = await client.search({
+    index: 'events',
+    size: 0,
+    aggs: {
+      week: { filter: { range: { date: { gte: 'now-1w' } } } },
+      periods: { filters: { filters: { day: { range: { date: { gte: 'now-1d' } } } } } },
+      monthly: { date_histogram: { field: 'date', calendar_interval: 'month', format: 'yyyy-MM', extended_bounds: { max: 'now+4w' } } }
+    }
+  })
+  t.is(aggregations.week.doc_count, 1)
+  t.is(aggregations.periods.buckets.day.doc_count, 1)
+  t.deepEqual(aggregations.monthly.buckets.map(bucket => bucket.key_as_string), ['2024-01', '2024-02', '2024-03', '2024-04'])
+
+  clock = Date.UTC(2024, 0, 16)
+  t.deepEqual(await ids({ range: { date: { gte: 'now-1d' } } }), ['1', '2', '3'])
+  t.deepEqual(await ids({ range: { date: { lt: 'now' } } }), ['3'])
+})
+
+test('The memory store should honor the optimistic concurrency control', async t => {
+  const store = Mock.memoryStore()
+  const mock = new Mock().use(store)
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  const first = await client.index({ index: 'test', id: '1', document: { count: 1 } })
+  const second = await client.index({ index: 'test', id: '1', document: { count: 2 }, if_seq_no: first._seq_no, if_primary_term: first._primary_term })
+  t.is(second._version, 2)
+  const stale = await t.throwsAsync(client.index({ index: 'test', id: '1', document: { count: 3 }, if_seq_no: first._seq_no, if_primary_term: 1 }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(stale.statusCode, 409)
+  t.is(stale.body.error.type, 'version_conflict_engine_exception')
+  t.is(stale.body.error.reason, '[1]: version conflict, required seqNo [0], primary term [1]. current document has seqNo [1] and primary term [1]')
+  const missing = await t.throwsAsync(client.update({ index: 'test', id: '2', doc: { count: 1 }, doc_as_upsert: true, if_seq_no: 0, if_primary_term: 1 }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(missing.body.error.reason, '[2]: version conflict, required seqNo [0], primary term [1]. but no document was found')
+  const updated = await client.update({ index: 'test', id: '1', doc: { count: 3 }, if_seq_no: second._seq_no, if_primary_term: 1 })
+  t.is(updated._version, 3)
+
+  const opType = await t.throwsAsync(client.index({ index: 'test', id: '1', document: { count: 4 }, op_type: 'create' }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(opType.body.error.reason, '[1]: version conflict, document already exists (current version [3])')
+  t.is((await client.index({ index: 'test', id: '2', document: { count: 1 }, op_type: 'create' })).result, 'created')
+
+  const external = await client.index({ index: 'test', id: '3', document: { count: 1 }, version: 10, version_type: 'external' })
+  t.is(external._version, 10)
+  const equalVersion = await t.throwsAsync(client.index({ index: 'test', id: '3', document: { count: 2 }, version: 10, version_type: 'external' }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(equalVersion.body.error.reason, '[3]: version conflict, current version [10] is higher or equal to the one provided [10]')
+  t.is((await client.index({ index: 'test', id: '3', document: { count: 2 }, version: 10, version_type: 'external_gte' }))._version, 10)
+  const lowerVersion = await t.throwsAsync(client.delete({ index: 'test', id: '3', version: 9, version_type: 'external_gte' }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(lowerVersion.body.error.reason, '[3]: version conflict, current version [10] is higher than the one provided [9]')
+  const deleted = await client.delete({ index: 'test', id: '3', version: 12, version_type: 'external' })
+  t.is(deleted._version, 12)
+  const staleDelete = await t.throwsAsync(client.delete({ index: 'test', id: '1', if_seq_no: 0, if_primary_term: 1 }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(staleDelete.statusCode, 409)
+  t.deepEqual(store.documents('test'), [{ _id: '1', _source: { count: 3 } }, { _id: '2', _source: { count: 1 } }])
+
+  const response = await client.bulk({
+    index: 'test',
+    operations: [
+      { index: { _id: '1', if_seq_no: 0, if_primary_term: 1 } },
+      { count: 5 },
+      { index: { _id: '4', version: 5, version_type: 'external' } },
+      { count: 1 },
+      { delete: { _id: '2', if_seq_no: 3, if_primary_term: 1 } }
+    ]
+  })
+  t.is(response.items[0].index.status, 409)
+  t.is(response.items[0].index.error.type, 'version_conflict_engine_exception')
+  t.is(response.items[1].index._version, 5)
+  t.is(response.items[2].delete.result, 'deleted')
+
+  const cases = [
+    [{ if_seq_no: 1 }, 'action_request_validation_exception', 'Validation Failed: 1: ifSeqNo is set, but primary term is [0];'],
+    [{ if_primary_term: 1 }, 'action_request_validation_exception', 'Validation Failed: 1: ifPrimaryTerm is set, but seqNo is [-2];'],
+    [{ version: 2 }, 'action_request_validation_exception',
+      'Validation Failed: 1: internal versioning can not be used for optimistic concurrency control. Please use `if_seq_no` and `if_primary_term` instead;'],
+    [{ version_type: 'external' }, 'action_request_validation_exception', 'Validation Failed: 1: illegal version value [-3] for version type [EXTERNAL];'],
+    [{ version: 2, version_type: 'foo' }, 'illegal_argument_exception', 'No version type match [foo]'],
+    [{ op_type: 'foo' }, 'illegal_argument_exception', "opType must be 'create' or 'index', found: [foo]"]
+  ]
+  for (const [querystring, type, reason] of cases) {
+    const err = await t.throwsAsync(client.index({ index: 'test', id: '1', document: { count: 6 }, querystring }), {
+      instanceOf: errors.ResponseError
+    })
+    t.is(err.statusCode, 400)
+    t.is(err.body.error.type, type)
+    t.is(err.body.error.reason, reason)
+  }
+  const updateVersionType = await t.throwsAsync(client.update({ index: 'test', id: '1', doc: { count: 6 }, querystring: { version: 2, version_type: 'external' } }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(updateVersionType.body.error.reason, 'Validation Failed: 1: version type [external] is not supported by the update API;')
+})
+
+test('The memory store search should see the documents after a refresh', async t => {
+  const store = Mock.memoryStore({ refresh: 'manual' })
+  const mock = new Mock().use(store)
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+  const ids = async index => (await client.search({ index })).hits.hits.map(hit => hit._id)
+
+  await client.index({ index: 'test', id: '1', document: { title: 'foo' } })
+  t.deepEqual(await ids('test'), [])
+  t.true((await client.get({ index: 'test', id: '1' })).found)
+  await client.indices.refresh({ index: 'test' })
+  t.deepEqual(await ids('test'), ['1'])
+
+  await client.index({ index: 'test', id: '2', document: { title: 'bar' }, refresh: true })
+  await client.delete({ index: 'test', id: '1' })
+  t.deepEqual(await ids('test'), ['1', '2'])
+  await client.update({ index: 'test', id: '2', doc: { title: 'baz' }, refresh: 'wait_for' })
+  t.deepEqual(await ids('test'), ['2'])
+  t.is((await client.search({ index: 'test', query: { match: { title: 'baz' } } })).hits.total.value, 1)
+
+  await client.bulk({
+    refresh: true,
+    operations: [
+      { index: { _index: 'test', _id: '3' } },
+      { title: 'foo' },
+      { index: { _index: 'Invalid', _id: '1' } },
+      { title: 'foo' }
+    ]
+  })
+  await client.index({ index: 'other', id: '1', document: { title: 'foo' } })
+  t.deepEqual(await ids('test,other'), ['2', '3'])
+
+  const invalid = await t.throwsAsync(client.index({ index: 'test', id: '4', document: {}, refresh: 'foo' }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(invalid.statusCode, 400)
+  t.is(invalid.body.error.reason, 'Unknown value for refresh: [foo].')
+  const conflict = await t.throwsAsync(client.create({ index: 'test', id: '2', document: {}, refresh: true }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(conflict.statusCode, 409)
+
+  let clock = 0
+  const interval = new Mock().use(Mock.memoryStore({ refresh: 1000, now: () => clock }))
+  const intervalClient = new Client({
+    node: 'http://localhost:9200',
+    Connection: interval.getConnection()
+  })
+  await intervalClient.index({ index: 'test', id: '1', document: { title: 'foo' } })
+  clock += 999
+  t.is((await intervalClient.search({ index: 'test' })).hits.total.value, 0)
+  await intervalClient.index({ index: 'test', id: '2', document: { title: 'bar' } })
+  clock += 1
+  t.is((await intervalClient.search({ index: 'test' })).hits.total.value, 2)
+  t.is((await intervalClient.indices.getSettings({ index: 'test' })).test.settings.index.creation_date, '0')
+  await intervalClient.index({ index: 'test', id: '3', document: { title: 'baz' } })
+  clock += 999
+  t.is((await intervalClient.search({ index: 'test' })).hits.total.value, 2)
+  clock = 5500
+  await intervalClient.index({ index: 'test', id: '4', document: { title: 'qux' } })
+  t.is((await intervalClient.search({ index: 'test' })).hits.total.value, 3)
+  clock = 6000
+  t.is((await intervalClient.search({ index: 'test' })).hits.total.value, 4)
+
+  for (const refresh of ['never', 0, 1.5, null]) {
+    t.throws(() => Mock.memoryStore({ refresh }), {
+      instanceOf: errors.ConfigurationError,
+      message: 'The refresh option must be immediate, manual or a positive number of milliseconds'
+    })
+  }
+  t.throws(() => Mock.memoryStore({ now: 'now' }), {
+    instanceOf: errors.ConfigurationError,
+    message: 'The now option must be a function'
+  })
+  t.is(Mock.memoryStore({ refresh: 'immediate' }).documents('test').length, 0)
+})
+
+test('The routes of a backend are overridden by the mocks and never pending', async t => {
+  const mock = new Mock()
+  mock.use(Mock.memoryStore())
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  t.true(mock.isDone())
+  t.deepEqual(mock.pendingMocks(), [])
+
+  mock.add({ method: 'GET', path: '/:index/_doc/:id' }, () => ({ mocked: true }))
+  mock.add({ method: 'POST', path: '/:index/_update/:id', body: { doc: { fail: true } } }, () => {
+    return new errors.ResponseError({ body: { error: { type: 'mocked_exception' }, status: 500 }, statusCode: 500 })
+  })
+
+  await client.index({ index: 'test', id: '1', document: { title: 'foo' } })
+  t.deepEqual(await client.get({ index: 'test', id: '1' }), { mocked: true })
+  t.true(await client.exists({ index: 'test', id: '1' }))
+  await t.throwsAsync(client.update({ index: 'test', id: '1', doc: { fail: true } }), { message: 'mocked_exception' })
+  t.is((await client.update({ index: 'test', id: '1', doc: { fail: false } })).result, 'updated')
+  t.true(mock.isDone())
+
+  mock.add({ method: 'DELETE', path: '/other' }, () => ({ mocked: true }))
+  t.deepEqual(await client.indices.delete({ index: 'other' }), { mocked: true })
+  t.deepEqual(await client.indices.delete({ index: 'test' }), { acknowledged: true })
+  t.false(await client.indices.exists({ index: 'test' }))
+
+  for (const backend of [null, {}, { routes: [] }]) {
+    t.throws(() => mock.use(backend), {
+      instanceOf: errors.ConfigurationError,
+      message: 'The backend must have a routes function'
+    })
+  }
+  t.throws(() => mock.use({ routes: () => [{ path: '/', handler: () => ({}) }] }), {
+    instanceOf: errors.ConfigurationError,
+    message: 'The method is not defined'
+  })
+  t.throws(() => mock.use({ routes: () => [{ method: 'GET', handler: () => ({}) }] }), {
+    instanceOf: errors.ConfigurationError,
+    message: 'The path is not defined'
+  })
+})
+
+test('The APIs without a mock reach the unmatched requests handling with a backend', async t => {
+  const mock = new Mock({ onUnmatched: 'throw' }).use(Mock.memoryStore())
+  const client = new Client({
+    node: 'http://localhost:9200',
+    maxRetries: 0,
+    Connection: mock.getConnection()
+  })
+
+  await t.throwsAsync(client.info(), { instanceOf: Mock.MockNotFoundError, message: /^Mock not found for GET \/$/m })
+  await t.throwsAsync(client.ping(), { instanceOf: Mock.MockNotFoundError, message: /^Mock not found for HEAD \/$/m })
+  for (const path of ['/_stats', '/_nodes', '/_data_stream']) {
+    await t.throwsAsync(client.transport.request({ method: 'GET', path }), { instanceOf: Mock.MockNotFoundError })
+  }
+  await t.throwsAsync(client.transport.request({ method: 'PUT', path: '/_component_template' }), { instanceOf: Mock.MockNotFoundError })
+  await t.throwsAsync(client.transport.request({ method: 'DELETE', path: '/_all' }), { instanceOf: Mock.MockNotFoundError })
+  t.deepEqual(mock.calls().map(call => call.pattern), Array(7).fill('unmatched'))
+
+  // the literal routes of a backend are not taken over by its parametric ones
+  await client.indices.create({ index: 'test' })
+  await client.indices.putSettings({ settings: { number_of_replicas: 2 } })
+  t.is((await client.indices.getSettings({ index: 'test' })).test.settings.index.number_of_replicas, '2')
+
+  const fallback = new Mock({ onUnmatched: params => ({ fallback: params.path }) })
+    .use(Mock.memoryStore())
+    .use({ routes: () => [{ method: 'GET', path: '/_custom/:id', handler: params => params.path.endsWith('/1') ? { body: { found: true } } : null }] })
+    .use({ routes: () => [{ method: 'GET', path: '/_custom/:id', handler: () => ({ body: { found: 'twice' } }) }] })
+  const fallbackClient = new Client({
+    node: 'http://localhost:9200',
+    Connection: fallback.getConnection()
+  })
+  t.deepEqual(await fallbackClient.info(), { fallback: '/' })
+  t.deepEqual(await fallbackClient.transport.request({ method: 'GET', path: '/_custom/1' }), { found: true })
+  t.deepEqual(await fallbackClient.transport.request({ method: 'GET', path: '/_custom/2' }), { fallback: '/_custom/2' })
+})
+
+async function booksClient () {
+  const mock = new Mock().use(Mock.memoryStore())
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+  const books = [
+    { title: 'The Lord of the Rings', author: { name: 'J. R. R. Tolkien' }, year: 1954, tags: ['fantasy', 'epic'], published: '1954-07-29', available: true },
+    { title: 'The Hobbit', author: { name: 'J. R. R. Tolkien' }, year: 1937, tags: ['fantasy', 'kids'], published: '1937-09-21', available: false },
+    { title: 'Dune', author: { name: 'Frank Herbert' }, year: 1965, tags: ['scifi'], published: '1965-08-01T10:00:00Z' },
+    { title: 'Foundation', 'author.name': 'Isaac Asimov', year: 1951, tags: [], rating: null }
+  ]
+  for (const [id, document] of books.entries()) {
+    await client.index({ index: 'books', id: String(id + 1), document })
+  }
+  const ids = async (query, options = {}) => {
+    const response = await client.search({ index: 'books', query, ...options })
+    return response.hits.hits.map(hit => hit._id)
+  }
+  return { mock, client, ids }
+}
+
+test('The memory store should evaluate the query DSL', async t => {
+  const { client, ids } = await booksClient()
+
+  t.deepEqual(await ids({ match_all: {} }), ['1', '2', '3', '4'])
+  t.deepEqual(await ids({ match_none: {} }), [])
+
+  t.deepEqual(await ids({ term: { tags: 'fantasy' } }), ['1', '2'])
+  t.deepEqual(await ids({ term: { title: 'hobbit' } }), ['2'])
+  t.deepEqual(await ids({ term: { title: 'Hobbit' } }), [], 'the text fields are analyzed')
+  t.deepEqual(await ids({ term: { title: { value: 'Hobbit', case_insensitive: true } } }), ['2'])
+  t.deepEqual(await ids({ term: { 'title.keyword': 'The Hobbit' } }), ['2'])
+  t.deepEqual(await ids({ term: { 'title.keyword': { value: 'the hobbit', case_insensitive: true } } }), ['2'])
+  t.deepEqual(await ids({ term: { 'author.name.keyword': 'Isaac Asimov' } }), ['4'], 'dotted keys')
+  t.deepEqual(await ids({ term: { year: '1965' } }), ['3'])
+  t.deepEqual(await ids({ term: { available: true } }), ['1'])
+  t.deepEqual(await ids({ terms: { 'tags.keyword': ['kids', 'scifi'], boost: 2 } }), ['2', '3'])
+
+  t.deepEqual(await ids({ match: { title: 'the rings' } }), ['1', '2'], 'sorted by score')
+  t.deepEqual(await ids({ match: { title: { query: 'the rings', operator: 'and' } } }), ['1'])
+  t.deepEqual(await ids({ match: { 'author.name': 'tolkien' } }), ['1', '2'])
+  t.deepEqual(await ids({ match: { year: 1951 } }), ['4'])
+  t.deepEqual(await ids({ match: { title: '' } }), [])
+
+  t.deepEqual(await ids({ range: { year: { gte: 1951, lt: 1965 } } }), ['1', '4'])
+  t.deepEqual(await ids({ range: { year: { gt: '1951', lte: 1965 } } }), ['1', '3'])
+  t.deepEqual(await ids({ range: { published: { gte: '1950-01-01', lte: 'now' } } }), ['1', '3'])
+  t.deepEqual(await ids({ range: { published: { gt: 'now-1d' } } }), [])
+  t.deepEqual(await ids({ range: { published: { lt: 'now+1w', gte: -2000000000000 } } }), ['1', '2', '3'])
+  t.deepEqual(await ids({ range: { 'title.keyword': { gte: 'E', lt: 'T' } } }), ['4'])
+  t.deepEqual(await ids({ range: { 'title.keyword': { gte: 'Dune', lte: 'Dune' } } }), ['3'])
+  t.deepEqual(await ids({ range: { year: { gte: null, lt: 1940 } } }), ['2'])
+
+  t.deepEqual(await ids({ exists: { field: 'published' } }), ['1', '2', '3'])
+  t.deepEqual(await ids({ exists: { field: 'tags' } }), ['1', '2', '3'], 'empty arrays have no value')
+  t.deepEqual(await ids({ exists: { field: 'rating' } }), [], 'null has no value')
+  t.deepEqual(await ids({ exists: { field: 'year.month' } }), [])
+  t.deepEqual(await ids({ ids: { values: ['3', 1] } }), ['1', '3'])
+  t.deepEqual(await ids({ ids: {} }), [])
+
+  t.deepEqual(await ids({ prefix: { title: 'hob' } }), ['2'])
+  t.deepEqual(await ids({ prefix: { 'title.keyword': { value: 'the', case_insensitive: true } } }), ['1', '2'])
+  t.deepEqual(await ids({ prefix: { year: '19' } }), ['1', '2', '3', '4'])
+  t.deepEqual(await ids({ wildcard: { title: { value: 'r?ng*' } } }), ['1'])
+  t.deepEqual(await ids({ wildcard: { 'title.keyword': { wildcard: 'the*', case_insensitive: true } } }), ['1', '2'])
+
+  t.deepEqual(await ids({
+    bool: {
+      must: { match: { title: 'the' } },
+      filter: [{ term: { tags: 'fantasy' } }],
+      must_not: [{ term: { available: false } }]
+    }
+  }), ['1'])
+  t.deepEqual(await ids({
+    bool: {
+      should: [{ term: { tags: 'kids' } }, { term: { tags: 'scifi' } }, { term: { tags: 'fantasy' } }]
+    }
+  }), ['2', '1', '3'], 'the documents matching more clauses go first')
+  t.deepEqual(await ids({
+    bool: {
+      should: [{ term: { tags: 'kids' } }, { term: { tags: 'fantasy' } }],
+      minimum_should_match: 2
+    }
+  }), ['2'])
+  t.deepEqual(await ids({
+    bool: {
+      filter: { range: { year: { lt: 1960 } } },
+      should: { term: { tags: 'epic' } }
+    }
+  }), ['1', '2', '4'], 'the should clauses are optional with a filter')
+  t.deepEqual(await ids({ bool: { must: [{ match_all: {} }], must_not: { exists: { field: 'published' } } } }), ['4'])
+
+  const response = await client.search({ index: 'books', query: { bool: { filter: { term: { tags: 'kids' } } } } })
+  t.is(response.hits.max_score, 0)
+  t.is(response.hits.hits[0]._score, 0)
+})
+
+test('The memory store should paginate, sort and filter the search results', async t => {
+  const { client, ids } = await booksClient()
+
+  const response = await client.search({ index: 'books', from: 1, size: 2 })
+  t.deepEqual(response, {
+    took: 1,
+    timed_out: false,
+    _shards: { total: 1, successful: 1, skipped: 0, failed: 0 },
+    hits: {
+      total: { value: 4, relation: 'eq' },
+      max_score: 1,
+      hits: [
+        { _index: 'books', _id: '2', _score: 1, _source: (await client.get({ index: 'books', id: '2' }))._source },
+        { _index: 'books', _id: '3', _score: 1, _source: (await client.get({ index: 'books', id: '3' }))._source }
+      ]
+    }
+  })
+  t.deepEqual(await ids(undefined, { size: 0 }), [])
+  t.deepEqual(await ids(undefined, { size: 1, from: 3 }), ['4'])
+
+  const sorted = await client.search({ index: 'books', sort: [{ year: 'desc' }], _source: false })
+  t.deepEqual(sorted.hits.hits, [
+    { _index: 'books', _id: '3', _score: null, sort: [1965] },
+    { _index: 'books', _id: '1', _score: null, sort: [1954] },
+    { _index: 'books', _id: '4', _score: null, sort: [1951] },
+    { _index: 'books', _id: '2', _score: null, sort: [1937] }
+  ])
+  t.is(sorted.hits.max_score, null)
+
+  t.deepEqual(await ids(undefined, { sort: 'title.keyword' }), ['3', '4', '2', '1'])
+  t.deepEqual(await ids(undefined, { sort: 'author.name.keyword' }), ['3', '4', '1', '2'], 'the ties keep the index order')
+  t.deepEqual(await ids({ match: { title: 'the rings' } }, { sort: [{ _score: {} }, { year: {} }] }), ['1', '2'])
+  t.deepEqual(await ids(undefined, { sort: [{ 'tags.keyword': { order: 'asc' } }, '_doc'] }), ['1', '2', '3', '4'])
+  t.deepEqual(await ids(undefined, { sort: [{ 'tags.keyword': { order: 'desc' } }, { _doc: 'desc' }] }), ['3', '2', '1', '4'])
+  t.deepEqual(await ids(undefined, { sort: [{ published: 'asc' }] }), ['2', '1', '3', '4'], 'missing values go last')
+  const dates = await client.search({ index: 'books', sort: [{ published: 'desc' }], size: 1 })
+  t.deepEqual(dates.hits.hits[0].sort, [Date.parse('1965-08-01T10:00:00Z')])
+  t.deepEqual(await ids({ match: { title: 'the rings' } }, { sort: ['_score', { year: 'asc' }] }), ['1', '2'])
+  const scored = await client.search({ index: 'books', query: { match: { title: 'the rings' } }, sort: ['_score'] })
+  t.deepEqual(scored.hits.hits.map(hit => [hit._score, hit.sort]), [[2, [2]], [1, [1]]])
+  t.is(scored.hits.max_score, 2)
+  const tracked = await client.search({ index: 'books', sort: [{ year: 'asc' }], track_scores: true, size: 1 })
+  t.is(tracked.hits.hits[0]._score, 1)
+  t.deepEqual(await ids({ range: { year: { lt: 1960 } } }, { sort: { available: 'desc' } }), ['1', '2', '4'])
+
+  const filtered = await client.search({
+    index: 'books',
+    size: 1,
+    _source: { includes: ['title', 'author.*', 'tags'], excludes: ['author.name'] }
+  })
+  t.deepEqual(filtered.hits.hits[0]._source, { title: 'The Lord of the Rings', tags: ['fantasy', 'epic'] })
+  const included = await client.search({ index: 'books', size: 1, _source: 'author' })
+  t.deepEqual(included.hits.hits[0]._source, { author: { name: 'J. R. R. Tolkien' } })
+  const excluded = await client.search({ index: 'books', size: 1, _source: { exclude: ['t*', 'author'] } })
+  t.deepEqual(excluded.hits.hits[0]._source, { year: 1954, published: '1954-07-29', available: true })
+  const nothing = await client.search({ index: 'books', size: 1, _source: ['missing'] })
+  t.deepEqual(nothing.hits.hits[0]._source, {})
+
+  const doc = await client.get({ index: 'books', id: '1', _source_includes: ['title', 'year'] })
+  t.deepEqual(doc._source, { title: 'The Lord of the Rings', year: 1954 })
+  const noSource = await client.get({ index: 'books', id: '1', _source: false })
+  t.is(noSource._source, undefined)
+  const excludes = await client.get({ index: 'books', id: '1', _source_excludes: 'tags,author,published' })
+  t.deepEqual(excludes._source, { title: 'The Lord of the Rings', year: 1954, available: true })
+
+  const querystring = await client.transport.request({
+    method: 'GET',
+    path: '/books/_search',
+    querystring: { from: 1, size: 1, sort: 'year:desc,title.keyword', _source: 'title', track_total_hits: 'false', track_scores: 'true' }
+  })
+  t.deepEqual(querystring.hits, {
+    max_score: 1,
+    hits: [{ _index: 'books', _id: '1', _score: 1, _source: { title: 'The Lord of the Rings' }, sort: [1954, 'The Lord of the Rings'] }]
+  })
+  const flag = await client.transport.request({ method: 'GET', path: '/books/_search', querystring: { _source: '', size: 1, track_total_hits: 'true' } })
+  t.is(flag.hits.hits[0]._source.title, 'The Lord of the Rings')
+  t.deepEqual(flag.hits.total, { value: 4, relation: 'eq' })
+
+  t.deepEqual((await client.search({ index: 'books', track_total_hits: 2 })).hits.total, { value: 2, relation: 'gte' })
+  t.deepEqual((await client.search({ index: 'books', track_total_hits: true })).hits.total, { value: 4, relation: 'eq' })
+  t.is((await client.search({ index: 'books', track_total_hits: false })).hits.total, undefined)
+})
+
+test('The memory store should search across indices', async t => {
+  const { client } = await booksClient()
+  await client.index({ index: 'movies', id: '1', document: { title: 'Dune' } })
+  await client.index({ index: 'music', id: '1', document: { title: 'Dune' } })
+
+  const search = async (index, options) => {
+    const response = await client.search({ index, query: { match: { title: 'dune' } }, ...options })
+    return response.hits.hits.map(hit => `${hit._index}/${hit._id}`)
+  }
+  t.deepEqual(await search('books,movies'), ['books/3', 'movies/1'])
+  t.deepEqual(await search('m*'), ['movies/1', 'music/1'])
+  t.deepEqual(await search('_all'), ['books/3', 'movies/1', 'music/1'])
+  t.deepEqual(await search('mov*,movies'), ['movies/1'])
+  t.deepEqual(await search('nothing*'), [])
+  t.deepEqual(await search('books,missing', { ignore_unavailable: true }), ['books/3'])
+
+  const sorted = await client.search({ index: 'movies,books', sort: [{ year: 'asc' }], _source: false })
+  t.deepEqual(sorted.hits.hits.map(hit => `${hit._index}/${hit._id}`), ['books/2', 'books/4', 'books/1', 'books/3', 'movies/1'])
+
+  const all = await client.search({ query: { match: { title: 'dune' } } })
+  t.is(all.hits.hits.length, 3)
+  t.is(all._shards.total, 3)
+
+  const err = await t.throwsAsync(search('books,missing'), { instanceOf: errors.ResponseError })
+  t.is(err.statusCode, 404)
+  t.is(err.body.error.type, 'index_not_found_exception')
+  t.is(err.body.error.index, 'missing')
+})
+
+test('The memory store should reject invalid search requests', async t => {
+  const { client } = await booksClient()
+
+  const cases = [
+    [{ query: { foo: {} } }, 'parsing_exception', 'unknown query [foo]'],
+    [{ query: { term: { a: 1 }, match: { b: 1 } } }, 'parsing_exception', '[term] malformed query, expected [END_OBJECT] but found [FIELD_NAME]'],
+    [{ query: {} }, 'parsing_exception', 'query malformed, empty clause found'],
+    [{ query: { bool: { must: [[]] } } }, 'parsing_exception', 'query malformed, must start with start_object'],
+    [{ query: { term: 'foo' } }, 'parsing_exception', '[term] query malformed, no start_object after query name'],
+    [{ query: { term: {} } }, 'parsing_exception', '[term] query requires a field'],
+    [{ query: { term: { a: 1, b: 2 } } }, 'parsing_exception', '[term] query doesn\'t support multiple fields, found [a] and [b]'],
+    [{ query: { terms: { tags: 'kids' } } }, 'parsing_exception', '[terms] query requires a single field with an array of terms'],
+    [{ query: { exists: {} } }, 'parsing_exception', '[exists] must be provided with a [field]'],
+    [{ query: { range: { published: { gte: 'yesterday' } } } }, 'parse_exception', 'failed to parse date field [yesterday]'],
+    [{ sort: [{ year: 'up' }] }, 'illegal_argument_exception', 'Unknown SortOrder [up]'],
+    [{ sort: [{ year: 'asc', title: 'asc' }] }, 'parsing_exception', 'malformed sort format, within the sort array, an object, or an actual string are allowed'],
+    [{ from: 9995, size: 10 }, 'illegal_argument_exception', 'Result window is too large, from + size must be less than or equal to: [10000] but was [10005]. See the scroll api for a more efficient way to request large data sets. This limit can be set by changing the [index.max_result_window] index level setting.']
+  ]
+  for (const [body, type, reason] of cases) {
+    const err = await t.throwsAsync(client.search({ index: 'books', ...body }), { instanceOf: errors.ResponseError })
+    t.is(err.statusCode, 400)
+    t.is(err.body.error.type, type)
+    t.is(err.body.error.reason, reason)
+  }
+
+  const fielddata = await t.throwsAsync(client.search({ index: 'books', sort: ['title'] }), { instanceOf: errors.ResponseError })
+  t.is(fielddata.statusCode, 400)
+  t.true(fielddata.body.error.reason.startsWith('Fielddata is disabled on [title] in [books].'))
+  t.deepEqual((await client.search({ index: 'books', sort: ['title.keyword'], size: 1 })).hits.hits[0].sort, ['Dune'])
+})
+
+async function salesClient () {
+  const mock = new Mock().use(Mock.memoryStore())
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+  const sales = [
+    { shop: 'north', price: 10, tags: ['food', 'drinks'], date: '2024-01-15T10:30:00Z', paid: true },
+    { shop: 'north', price: 30, tags: ['food'], date: '2024-03-02T08:00:00Z', paid: false },
+    { shop: 'south', price: 25, tags: [], date: '2024-03-20' },
+    { shop: 'east', price: 5.5, tags: ['drinks'], date: '2024-03-31T23:59:59Z', paid: true }
+  ]
+  for (const [id, document] of sales.entries()) {
+    await client.index({ index: 'sales', id: String(id + 1), document })
+  }
+  const aggregate = async (aggs, query) => {
+    const response = await client.search({ index: 'sales', size: 0, query, aggs })
+    return response.aggregations
+  }
+  return { client, aggregate }
+}
+
+test('The memory store should evaluate the bucket aggregations', async t => {
+  const { client, aggregate } = await salesClient()
+
+  t.deepEqual(await aggregate({ shops: { terms: { field: 'shop.keyword' } } }), {
+    shops: {
+      doc_count_error_upper_bound: 0,
+      sum_other_doc_count: 0,
+      buckets: [
+        { key: 'north', doc_count: 2 },
+        { key: 'east', doc_count: 1 },
+        { key: 'south', doc_count: 1 }
+      ]
+    }
+  })
+  t.deepEqual(await aggregate({ shops: { terms: { field: 'shop.keyword', size: 1, order: { _key: 'asc' } } } }), {
+    shops: { doc_count_error_upper_bound: 0, sum_other_doc_count: 3, buckets: [{ key: 'east', doc_count: 1 }] }
+  })
+  t.deepEqual((await aggregate({ tags: { terms: { field: 'tags.keyword', missing: 'none', order: [{ _count: 'asc' }, { _key: 'desc' }] } } })).tags.buckets, [
+    { key: 'none', doc_count: 1 },
+    { key: 'food', doc_count: 2 },
+    { key: 'drinks', doc_count: 2 }
+  ])
+  t.deepEqual((await aggregate({ tags: { terms: { field: 'tags.keyword', min_doc_count: 2 } } })).tags.buckets, [
+    { key: 'drinks', doc_count: 2 },
+    { key: 'food', doc_count: 2 }
+  ])
+  t.deepEqual((await aggregate({ paid: { terms: { field: 'paid' } } })).paid.buckets, [
+    { key: 1, key_as_string: 'true', doc_count: 2 },
+    { key: 0, key_as_string: 'false', doc_count: 1 }
+  ])
+  t.deepEqual((await aggregate({ days: { terms: { field: 'date', size: 1 } } })).days.buckets, [
+    { key: Date.parse('2024-01-15T10:30:00Z'), key_as_string: '2024-01-15T10:30:00.000Z', doc_count: 1 }
+  ])
+
+  t.deepEqual(await aggregate({
+    shops: {
+      terms: { field: 'shop.keyword', order: { revenue: 'desc' } },
+      aggs: { revenue: { sum: { field: 'price' } } }
+    }
+  }), {
+    shops: {
+      doc_count_error_upper_bound: 0,
+      sum_other_doc_count: 0,
+      buckets: [
+        { key: 'north', doc_count: 2, revenue: { value: 40 } },
+        { key: 'south', doc_count: 1, revenue: { value: 25 } },
+        { key: 'east', doc_count: 1, revenue: { value: 5.5 } }
+      ]
+    }
+  })
+  t.deepEqual((await aggregate({
+    shops: {
+      terms: { field: 'shop.keyword', order: { paid: 'asc' } },
+      aggregations: { paid: { filter: { term: { paid: true } } } }
+    }
+  })).shops.buckets.map(bucket => [bucket.key, bucket.paid.doc_count]), [['south', 0], ['east', 1], ['north', 1]])
+
+  t.deepEqual(await aggregate({ monthly: { date_histogram: { field: 'date', calendar_interval: 'month', format: 'yyyy-MM' } } }), {
+    monthly: {
+      buckets: [
+        { key_as_string: '2024-01', key: Date.UTC(2024, 0), doc_count: 1 },
+        { key_as_string: '2024-02', key: Date.UTC(2024, 1), doc_count: 0 },
+        { key_as_string: '2024-03', key: Date.UTC(2024, 2), doc_count: 3 }
+      ]
+    }
+  })
+  const keys = async (histogram, query) => {
+    const { histo } = await aggregate({ histo: { date_histogram: { field: 'date', ...histogram } } }, query)
+    return histo.buckets.map(bucket => `${bucket.key_as_string}:${bucket.doc_count}`)
+  }
+  t.deepEqual(await keys({ calendar_interval: '1y' }), ['2024-01-01T00:00:00.000Z:4'])
+  t.deepEqual(await keys({ calendar_interval: 'quarter', extended_bounds: { min: '2023-12-01', max: '2024-04-01' } }), [
+    '2023-10-01T00:00:00.000Z:0',
+    '2024-01-01T00:00:00.000Z:4',
+    '2024-04-01T00:00:00.000Z:0'
+  ])
+  t.deepEqual(await keys({ calendar_interval: 'week', min_doc_count: 1 }), [
+    '2024-01-15T00:00:00.000Z:1',
+    '2024-02-26T00:00:00.000Z:1',
+    '2024-03-18T00:00:00.000Z:1',
+    '2024-03-25T00:00:00.000Z:1'
+  ])
+  t.deepEqual(await keys({ calendar_interval: 'day', min_doc_count: 1, format: 'dd/MM/yyyy' }), ['15/01/2024', '02/03/2024', '20/03/2024', '31/03/2024'].map(key => `${key}:1`))
+  t.deepEqual(await keys({ calendar_interval: 'hour', format: 'HH:mm' }, { ids: { values: ['1'] } }), ['10:00:1'])
+  t.deepEqual(await keys({ calendar_interval: '1m', format: 'HH:mm:ss' }, { ids: { values: ['4'] } }), ['23:59:00:1'])
+  t.deepEqual(await keys({ fixed_interval: '12h', min_doc_count: 1 }, { range: { date: { gte: '2024-03-20' } } }), [
+    '2024-03-20T00:00:00.000Z:1',
+    '2024-03-31T12:00:00.000Z:1'
+  ])
+  t.deepEqual(await keys({ fixed_interval: '30d' }, { match_none: {} }), [])
+  t.deepEqual(await keys({ fixed_interval: '7d', format: 'MM-dd' }, { ids: { values: ['3', '4'] } }), ['03-14:1', '03-21:0', '03-28:1'])
+  t.deepEqual(await keys({ calendar_interval: 'week', format: 'MM-dd' }, { ids: { values: ['3', '4'] } }), ['03-18:1', '03-25:1'])
+  t.is((await keys({ calendar_interval: 'day' }, { ids: { values: ['3', '4'] } })).length, 12)
+  t.deepEqual(await keys({ calendar_interval: 'hour', format: 'HH' }, { ids: { values: ['1'] } }), ['10:1'])
+  t.deepEqual(await keys({ calendar_interval: 'minute', format: 'mm' }, { ids: { values: ['1'] } }), ['30:1'])
+
+  t.deepEqual(await aggregate({ prices: { histogram: { field: 'price', interval: 10, extended_bounds: { max: 50 } } } }), {
+    prices: {
+      buckets: [
+        { key: 0, doc_count: 1 },
+        { key: 10, doc_count: 1 },
+        { key: 20, doc_count: 1 },
+        { key: 30, doc_count: 1 },
+        { key: 40, doc_count: 0 },
+        { key: 50, doc_count: 0 }
+      ]
+    }
+  })
+  t.deepEqual((await aggregate({ prices: { histogram: { field: 'price', interval: 10, offset: 5, min_doc_count: 1 } } })).prices.buckets, [
+    { key: 5, doc_count: 2 },
+    { key: 25, doc_count: 2 }
+  ])
+
+  t.deepEqual(await aggregate({
+    prices: {
+      range: { field: 'price', ranges: [{ to: 10 }, { from: 10, to: 25.5 }, { from: 25.5, key: 'expensive' }, { from: null, to: null }] },
+      aggs: { shops: { cardinality: { field: 'shop.keyword' } } }
+    }
+  }), {
+    prices: {
+      buckets: [
+        { key: '*-10.0', to: 10, doc_count: 1, shops: { value: 1 } },
+        { key: '10.0-25.5', from: 10, to: 25.5, doc_count: 2, shops: { value: 2 } },
+        { key: 'expensive', from: 25.5, doc_count: 1, shops: { value: 1 } },
+        { key: '*-*', doc_count: 4, shops: { value: 3 } }
+      ]
+    }
+  })
+  t.deepEqual((await aggregate({ prices: { range: { field: 'price', keyed: true, ranges: [{ to: 10 }, { from: 10 }] } } })).prices, {
+    buckets: { '*-10.0': { to: 10, doc_count: 1 }, '10.0-*': { from: 10, doc_count: 3 } }
+  })
+
+  t.deepEqual(await aggregate({
+    paid: { filter: { term: { paid: true } }, aggs: { total: { sum: { field: 'price' } } }, meta: { label: 'Paid' } },
+    groups: { filters: { filters: { food: { term: { tags: 'food' } }, drinks: { term: { tags: 'drinks' } } } } },
+    anonymous: { filters: { filters: [{ match_all: {} }, { exists: { field: 'paid' } }] } }
+  }), {
+    paid: { doc_count: 2, total: { value: 15.5 }, meta: { label: 'Paid' } },
+    groups: { buckets: { food: { doc_count: 2 }, drinks: { doc_count: 2 } } },
+    anonymous: { buckets: [{ doc_count: 4 }, { doc_count: 3 }] }
+  })
+
+  // the aggregations run on the matching documents and not only on the returned page
+  const response = await client.search({
+    index: 'sales',
+    size: 1,
+    query: { term: { tags: 'food' } },
+    aggregations: { shops: { terms: { field: 'shop.keyword' } } }
+  })
+  t.is(response.hits.hits.length, 1)
+  t.deepEqual(response.aggregations.shops.buckets, [{ key: 'north', doc_count: 2 }])
+})
+
+test('The memory store should evaluate the metric aggregations', async t => {
+  const { aggregate } = await salesClient()
+
+  t.deepEqual(await aggregate({
+    avg: { avg: { field: 'price' } },
+    sum: { sum: { field: 'price' } },
+    min: { min: { field: 'price' } },
+    max: { max: { field: 'price' } },
+    count: { value_count: { field: 'tags.keyword' } },
+    cardinality: { cardinality: { field: 'tags.keyword' } },
+    first: { min: { field: 'date' } },
+    last: { max: { field: 'date' } },
+    average: { avg: { field: 'date' } }
+  }), {
+    avg: { value: 17.625 },
+    sum: { value: 70.5 },
+    min: { value: 5.5 },
+    max: { value: 30 },
+    count: { value: 4 },
+    cardinality: { value: 2 },
+    first: { value: Date.parse('2024-01-15T10:30:00Z'), value_as_string: '2024-01-15T10:30:00.000Z' },
+    last: { value: Date.parse('2024-03-31T23:59:59Z'), value_as_string: '2024-03-31T23:59:59.000Z' },
+    average: {
+      value: (Date.parse('2024-01-15T10:30:00Z') + Date.parse('2024-03-02T08:00:00Z') + Date.parse('2024-03-20') + Date.parse('2024-03-31T23:59:59Z')) / 4,
+      value_as_string: new Date((Date.parse('2024-01-15T10:30:00Z') + Date.parse('2024-03-02T08:00:00Z') + Date.parse('2024-03-20') + Date.parse('2024-03-31T23:59:59Z')) / 4).toISOString()
+    }
+  })
+
+  t.deepEqual(await aggregate({
+    avg: { avg: { field: 'price' } },
+    sum: { sum: { field: 'price' } },
+    min: { min: { field: 'date' } },
+    max: { max: { field: 'price' } }
+  }, { match_none: {} }), {
+    avg: { value: null },
+    sum: { value: 0 },
+    min: { value: null },
+    max: { value: null }
+  })
+
+  const { shops } = await aggregate({
+    shops: {
+      terms: { field: 'shop.keyword', size: 2 },
+      aggs: {
+        latest: { top_hits: { size: 1, sort: [{ date: 'desc' }], _source: ['price'] } },
+        all: { top_hits: {} }
+      }
+    }
+  })
+  t.deepEqual(shops.buckets[0].latest, {
+    hits: {
+      total: { value: 2, relation: 'eq' },
+      max_score: null,
+      hits: [{ _index: 'sales', _id: '2', _score: null, _source: { price: 30 }, sort: [Date.parse('2024-03-02T08:00:00Z')] }]
+    }
+  })
+  t.is(shops.buckets[0].all.hits.hits.length, 2)
+  t.is(shops.buckets[0].all.hits.max_score, 1)
+  const { first } = await aggregate({ first: { top_hits: { from: 1, size: 1, track_scores: true, sort: 'price' } } })
+  t.deepEqual(first.hits.hits.map(hit => [hit._id, hit._score]), [['1', 1]])
+})
+
+test('The memory store should reject invalid aggregations', async t => {
+  const { aggregate } = await salesClient()
+
+  const cases = [
+    [[], 'parsing_exception', 'Aggregation definition must start with a [START_OBJECT]'],
+    [{ foo: 'bar' }, 'parsing_exception', 'Aggregation definition for [foo] starts with a [VALUE], expected a [START_OBJECT].'],
+    [{ foo: {} }, 'parsing_exception', 'Missing definition for aggregation [foo]'],
+    [{ foo: { terms: { field: 'shop.keyword' }, avg: { field: 'price' } } }, 'parsing_exception', 'Found two aggregation type definitions in [foo]: [terms] and [avg]'],
+    [{ foo: { bar: {} } }, 'parsing_exception', 'Unknown aggregation type [bar]'],
+    [{ foo: { avg: { field: 'price' }, aggs: { bar: { max: { field: 'price' } } } } }, 'aggregation_initialization_exception', 'Aggregator [foo] of type [avg] cannot accept sub-aggregations'],
+    [{ foo: { terms: {} } }, 'illegal_argument_exception', 'Required one of fields [field, script], but none were specified.'],
+    [{ foo: { avg: null } }, 'illegal_argument_exception', 'Required one of fields [field, script], but none were specified.'],
+    [{ foo: { terms: { field: 'shop' } } }, 'illegal_argument_exception', 'Fielddata is disabled on [shop] in [sales]. Text fields are not optimised for operations that require per-document field data like aggregations and sorting, so these operations are disabled by default. Please use a keyword field instead. Alternatively, set fielddata=true on [shop] in order to load field data by uninverting the inverted index. Note that this can use significant memory.'],
+    [{ foo: { terms: { field: 'shop.keyword', order: { bar: 'desc' } } } }, 'aggregation_execution_exception', 'Invalid aggregation order path [bar]. The provided aggregation [bar] is not a sub-aggregation of [foo]'],
+    [{ foo: { date_histogram: { field: 'date', interval: 'month' } } }, 'illegal_argument_exception', 'Required one of fields [fixed_interval, calendar_interval], but none were specified.'],
+    [{ foo: { date_histogram: { field: 'date', calendar_interval: '2d' } } }, 'illegal_argument_exception', 'The supplied interval [2d] could not be parsed as a calendar interval.'],
+    [{ foo: { date_histogram: { field: 'date', fixed_interval: '1M' } } }, 'illegal_argument_exception', 'failed to parse setting [date_histogram.fixedInterval] with value [1M] as a time value: unit is missing or unrecognized'],
+    [{ foo: { histogram: { field: 'price', interval: 0 } } }, 'illegal_argument_exception', '[interval] must be >0 for histogram aggregation [foo]'],
+    [{ foo: { range: { field: 'price' } } }, 'illegal_argument_exception', 'No [ranges] specified for the [foo] aggregation'],
+    [{ foo: { filters: {} } }, 'parsing_exception', '[filters] cannot be empty in the [foo] aggregation']
+  ]
+  for (const [aggs, type, reason] of cases) {
+    const err = await t.throwsAsync(aggregate(aggs), { instanceOf: errors.ResponseError })
+    t.is(err.statusCode, 400)
+    t.is(err.body.error.type, type)
+    t.is(err.body.error.reason, reason)
+  }
+
+  const err = await t.throwsAsync(aggregate({ foo: { histogram: { field: 'price', interval: 0.0001 } } }), { instanceOf: errors.ResponseError })
+  t.is(err.statusCode, 503)
+  t.is(err.body.error.type, 'too_many_buckets_exception')
+  t.is(err.body.error.max_buckets, 65536)
+})
+
+test('The bulk resolver should pair the actions and their sources', async t => {
+  const mock = new Mock()
+  mock.add({ method: 'POST', path: ['/_bulk', '/:index/_bulk'] }, Mock.bulk())
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  const response = await client.bulk({
+    operations: [
+      { index: { _index: 'test', _id: '1' } },
+      { title: 'foo' },
+      { create: { _index: 'test' } },
+      { title: 'bar' },
+      { update: { _index: 'test', _id: '1' } },
+      { doc: { title: 'baz' } },
+      { delete: { _index: 'test', _id: '2' } }
+    ]
+  })
+  t.false(response.errors)
+  t.deepEqual(response.items.map(item => Object.keys(item)[0]), ['index', 'create', 'update', 'delete'])
+  t.deepEqual(response.items[0].index, {
+    _index: 'test',
+    _id: '1',
+    _version: 1,
+    result: 'created',
+    _shards: { total: 2, successful: 1, failed: 0 },
+    _seq_no: 0,
+    _primary_term: 1,
+    status: 201
+  })
+  t.is(typeof response.items[1].create._id, 'string')
+  t.is(response.items[1].create.status, 201)
+  t.is(response.items[2].update.result, 'updated')
+  t.is(response.items[2].update.status, 200)
+  t.is(response.items[3].delete.result, 'deleted')
+  t.is(response.items[3].delete._seq_no, 3)
+
+  const withIndex = await client.bulk({ index: 'other', operations: [{ delete: { _id: '1' } }] })
+  t.is(withIndex.items[0].delete._index, 'other')
+})
+
+test('The bulk resolver should inject failures into the bulk helper', async t => {
+  const store = Mock.memoryStore()
+  const mock = new Mock().use(store)
+  const conflicts = []
+  mock.add({ method: 'POST', path: '/_bulk' }, Mock.bulk({
+    store,
+    failures: [
+      { error: 'rejected', when: item => item.id === '2', times: 2 },
+      { error: 'mapper_parsing', when: item => typeof item.document.price !== 'number' },
+      { error: 'version_conflict', when: item => item.action === 'create' && conflicts.push(item) },
+      { error: { status: 503, type: 'unavailable_shards_exception', reason: 'primary shard is not active' }, rate: 0 }
+    ]
+  }))
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  const dropped = []
+  const stats = await client.helpers.bulk({
+    datasource: [{ id: '1', price: 10 }, { id: '2', price: 20 }, { id: '3', price: 'free' }],
+    onDocument: doc => ({ index: { _index: 'products', _id: doc.id } }),
+    onDrop: doc => dropped.push(doc),
+    wait: 10
+  })
+  t.is(stats.total, 3)
+  t.is(stats.successful, 2)
+  t.is(stats.failed, 1)
+  t.is(stats.retry, 4)
+  t.is(dropped.length, 1)
+  t.is(dropped[0].status, 400)
+  t.is(dropped[0].error.type, 'mapper_parsing_exception')
+  t.is(dropped[0].error.reason, 'failed to parse document with id [3]')
+  t.deepEqual(dropped[0].document, { id: '3', price: 'free' })
+  t.deepEqual(store.documents('products').map(doc => doc._id), ['1', '2'])
+
+  const response = await client.bulk({ operations: [{ create: { _index: 'products', _id: '1' } }, { price: 30 }] })
+  t.true(response.errors)
+  t.is(conflicts.length, 1)
+  t.deepEqual(response.items[0].create, {
+    _index: 'products',
+    _id: '1',
+    status: 409,
+    error: {
+      type: 'version_conflict_engine_exception',
+      reason: '[1]: version conflict, document already exists (current version [1])',
+      index: 'products'
+    }
+  })
+
+  mock.clear({ method: 'POST', path: '/_bulk' })
+  mock.add({ method: 'POST', path: '/_bulk' }, Mock.bulk({
+    failures: [
+      { error: 'version_conflict', when: item => item.id === '1', rate: 1 },
+      { error: { status: 503, type: 'unavailable_shards_exception', reason: 'primary shard is not active' } }
+    ]
+  }))
+  const injected = await client.bulk({
+    operations: [{ delete: { _index: 'products', _id: '1' } }, { delete: { _index: 'products', _id: '2' } }]
+  })
+  t.is(injected.items[0].delete.error.reason, '[1]: version conflict, required seqNo [0], primary term [1]. current document has seqNo [1] and primary term [1]')
+  t.deepEqual(injected.items[1].delete.error, { type: 'unavailable_shards_exception', reason: 'primary shard is not active', index: 'products' })
+  t.is(injected.items[1].delete.status, 503)
+
+  const draws = [0.2, 0.8, 0.5, 0.49]
+  mock.clear({ method: 'POST', path: '/_bulk' })
+  mock.add({ method: 'POST', path: '/_bulk' }, Mock.bulk({
+    failures: [{ error: 'rejected', rate: 0.5 }],
+    random: () => draws.shift()
+  }))
+  const drawn = await client.bulk({
+    operations: ['1', '2', '3', '4'].map(id => ({ delete: { _index: 'products', _id: id } }))
+  })
+  t.deepEqual(drawn.items.map(item => item.delete.status), [429, 200, 200, 429])
+  t.is(draws.length, 0)
+})
+
+test('The memory store should apply the bulk requests', async t => {
+  const store = Mock.memoryStore()
+  const mock = new Mock().use(store)
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  await client.index({ index: 'test', id: '1', document: { title: 'foo' } })
+  const response = await client.bulk({
+    index: 'test',
+    operations: [
+      { create: { _id: '1' } },
+      { title: 'bar' },
+      { index: { _id: '2' } },
+      { title: 'bar' },
+      { update: { _id: '1' } },
+      { doc: { count: 1 } },
+      { update: { _id: '3' } },
+      { doc: { count: 1 } },
+      { delete: { _id: '4' } },
+      { delete: { _index: 'other', _id: '2' } }
+    ]
+  })
+  t.true(response.errors)
+  t.is(response.items[0].create.status, 409)
+  t.is(response.items[0].create.error.type, 'version_conflict_engine_exception')
+  t.is(response.items[0].create.error.index_uuid.length, 22)
+  t.is(response.items[1].index.result, 'created')
+  t.is(response.items[2].update._version, 2)
+  t.deepEqual(response.items[3].update, {
+    _index: 'test',
+    _id: '3',
+    status: 404,
+    error: { type: 'document_missing_exception', reason: '[3]: document missing', index_uuid: response.items[0].create.error.index_uuid, shard: '0', index: 'test' }
+  })
+  t.is(response.items[4].delete.result, 'not_found')
+  t.is(response.items[4].delete.status, 404)
+  t.is(response.items[5].delete._index, 'other')
+  t.deepEqual(store.documents('test'), [{ _id: '1', _source: { title: 'foo', count: 1 } }, { _id: '2', _source: { title: 'bar' } }])
+
+  const cases = [
+    [[], 'action_request_validation_exception', 'Validation Failed: 1: no requests added;'],
+    [[{ foo: {} }], 'illegal_argument_exception', 'Malformed action/metadata line [1], expected one of [index, create, update, delete] but found [foo]'],
+    [[{ index: null }], 'illegal_argument_exception', 'Malformed action/metadata line [1], expected one of [index, create, update, delete] but found [index]'],
+    [[42], 'illegal_argument_exception', 'Malformed action/metadata line [1], expected one of [index, create, update, delete] but found []'],
+    [[{ index: {} }, {}], 'action_request_validation_exception', 'Validation Failed: 1: index is missing;'],
+    [[{ delete: { _index: 'test' } }], 'action_request_validation_exception', 'Validation Failed: 1: id is missing;'],
+    [[{ delete: { _index: 'test', _id: '1' } }, { index: { _index: 'test' } }], 'illegal_argument_exception', 'The index action at line [2] has no source']
+  ]
+  for (const [operations, type, reason] of cases) {
+    const err = await t.throwsAsync(client.bulk({ operations }), { instanceOf: errors.ResponseError })
+    t.is(err.statusCode, 400)
+    t.is(err.body.error.type, type)
+    t.is(err.body.error.reason, reason)
+  }
+  const noBody = await t.throwsAsync(client.transport.request({ method: 'POST', path: '/_bulk' }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(noBody.body.error.reason, 'Validation Failed: 1: no requests added;')
+})
+
+test('Mock.bulk should validate its options', t => {
+  t.throws(() => Mock.bulk({ store: {} }), {
+    instanceOf: errors.ConfigurationError,
+    message: 'The store option must be a memory store'
+  })
+  t.throws(() => Mock.bulk({ failures: {} }), {
+    instanceOf: errors.ConfigurationError,
+    message: 'The failures option must be an array of failure rules'
+  })
+  t.throws(() => Mock.bulk({ random: 0.5 }), {
+    instanceOf: errors.ConfigurationError,
+    message: 'The random option must be a function'
+  })
+
+  const cases = [
+    [null, 'The rule must be an object'],
+    [{ error: 'foo' }, 'The error must be one of version_conflict, rejected, mapper_parsing or an object with status, type and reason'],
+    [{ error: { status: 200, type: 'foo', reason: 'bar' } }, 'The error must be one of version_conflict, rejected, mapper_parsing or an object with status, type and reason'],
+    [{ error: 'rejected', when: true }, 'The when option must be a function'],
+    [{ error: 'rejected', rate: 2 }, 'The rate option must be a number between 0 and 1'],
+    [{ error: 'rejected', times: 0 }, 'The times option must be a positive integer']
+  ]
+  for (const [rule, message] of cases) {
+    t.throws(() => Mock.bulk({ failures: [{ error: 'rejected' }, rule] }), {
+      instanceOf: errors.ConfigurationError,
+      message: `Invalid failure rule #1: ${message}`
+    })
+  }
+})
+
+test('The multi search dispatches every search to the registered mocks', async t => {
+  const mock = new Mock()
+  mock.add({ method: 'POST', path: '/:index/_search', body: { query: { match: { title: 'foo' } } } }, () => {
+    return { hits: { total: { value: 1, relation: 'eq' }, hits: [{ _id: '1', _source: { title: 'foo' } }] } }
+  })
+  mock.add({ method: 'POST', path: '/:index/_search', querystring: { routing: 'bar' } }, () => {
+    return new errors.ResponseError({
+      body: { error: { type: 'index_not_found_exception', reason: 'no such index [missing]' }, status: 404 },
+      statusCode: 404
+    })
+  })
+  mock.add({ method: 'POST', path: '/_search' }, () => Mock.response({ statusCode: 503, body: 'unavailable' }), { times: 1, delay: 10 })
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  const response = await client.msearch({
+    index: 'test',
+    searches: [
+      {},
+      { query: { match: { title: 'foo' } } },
+      { index: ['missing', 'other'], routing: 'bar' },
+      { query: { match_all: {} } },
+      { index: 'test' },
+      { query: { match_all: {} } }
+    ]
+  })
+  t.is(response.responses.length, 3)
+  t.deepEqual(response.responses[0], {
+    hits: { total: { value: 1, relation: 'eq' }, hits: [{ _id: '1', _source: { title: 'foo' } }] },
+    status: 200
+  })
+  t.deepEqual(response.responses[1], { error: { type: 'index_not_found_exception', reason: 'no such index [missing]' }, status: 404 })
+  t.deepEqual(response.responses[2].error, {
+    root_cause: [{ type: 'mock_not_found_exception', reason: 'Mock not found for POST /test/_search' }],
+    type: 'mock_not_found_exception',
+    reason: 'Mock not found for POST /test/_search'
+  })
+  t.is(response.responses[2].status, 404)
+  t.is(response.responses[2].diagnostics.params.path, '/test/_search')
+  t.deepEqual(response.responses[2].diagnostics.candidates.map(candidate => candidate.mismatches), [['querystring'], ['body']])
+
+  const calls = mock.calls()
+  t.is(calls.length, 1)
+  t.is(calls[0].path, '/test/_msearch')
+  t.deepEqual(mock.pendingMocks(), [{ method: 'POST', path: '/_search' }])
+
+  const noIndex = await client.msearch({ searches: [{}, {}, {}, {}] })
+  t.deepEqual(noIndex.responses[0], { error: 'unavailable', status: 503 })
+  t.is(noIndex.responses[1].status, 404)
+  t.true(mock.isDone())
+
+  mock.clearAll()
+  const cleared = await client.msearch({ searches: [{}, {}] })
+  t.is(cleared.responses[0].status, 404)
+
+  for (const [body, reason] of [[undefined, 'Validation Failed: 1: no requests added;'], [[{}], 'The msearch request must be terminated by a newline [\\n]']]) {
+    const err = await t.throwsAsync(client.transport.request({ method: 'POST', path: '/_msearch', bulkBody: body }), {
+      instanceOf: errors.ResponseError
+    })
+    t.is(err.statusCode, 400)
+    t.is(err.body.error.reason, reason)
+  }
+})
+
+test('The multi search helper can be tested with the search mocks', async t => {
+  const mock = new Mock()
+  mock.add({ method: 'POST', path: '/:index/_search' }, params => {
+    if (params.body.query.match.title === 'missing') {
+      return Mock.response({ statusCode: 404, body: { error: { type: 'index_not_found_exception' }, status: 404 } })
+    }
+    return { hits: { total: { value: 1, relation: 'eq' }, hits: [{ _id: '1', _source: params.body.query.match }] } }
+  })
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  const m = client.helpers.msearch({ operations: 2, flushInterval: 10 })
+  const [found, missing] = await Promise.allSettled([
+    m.search({ index: 'test' }, { query: { match: { title: 'foo' } } }),
+    m.search({ index: 'test' }, { query: { match: { title: 'missing' } } })
+  ])
+  m.stop()
+  t.deepEqual(found.value.documents, [{ title: 'foo' }])
+  t.is(missing.reason.statusCode, 404)
+  t.is(missing.reason.body.error.type, 'index_not_found_exception')
+})
+
+test('The multi search goes to the unmatched handler when a search has no mock', async t => {
+  const mock = new Mock({
+    onUnmatched: params => Mock.response({ headers: { 'content-length': '0', 'x-fallback': 'true' }, body: { path: params.path } })
+  })
+  mock.add({ method: 'POST', path: '/_search' }, () => ({ hits: { hits: [] } }))
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  const matched = await client.msearch({ searches: [{}, {}] }, { meta: true })
+  t.deepEqual(matched.body.responses, [{ hits: { hits: [] }, status: 200 }])
+  t.is(matched.headers['x-fallback'], undefined)
+
+  const unmatched = await client.msearch({ searches: [{}, {}, { index: 'test' }, {}] }, { meta: true })
+  t.deepEqual(unmatched.body, { path: '/_msearch' })
+  t.is(unmatched.headers['x-fallback'], 'true')
+
+  const plain = new Client({
+    node: 'http://localhost:9200',
+    Connection: new Mock({ onUnmatched: () => ({ fallback: true }) }).getConnection()
+  })
+  t.deepEqual(await plain.msearch({ searches: [{}, {}] }), { fallback: true })
+
+  const throwing = new Client({
+    node: 'http://localhost:9200',
+    Connection: new Mock({ onUnmatched: 'throw' }).getConnection()
+  })
+  const response = await throwing.msearch({ searches: [{}, {}] })
+  t.is(response.responses[0].error.type, 'mock_not_found_exception')
+  t.is(response.responses[0].status, 404)
+
+  const backend = new Mock().use({
+    routes: () => [{ method: 'POST', path: '/_search', handler: () => null }]
+  })
+  const notHandled = new Client({
+    node: 'http://localhost:9200',
+    Connection: backend.getConnection()
+  })
+  const items = await notHandled.msearch({ searches: [{}, {}] })
+  t.is(items.responses[0].error.reason, 'Mock not found for POST /_search')
+  t.is(items.responses[0].status, 404)
+})
+
+function resultSet (length) {
+  return Array.from({ length }, (_, i) => ({ _index: 'test', _id: String(i + 1), _score: null, _source: { n: i + 1 } }))
+}
+
+test('Mock.paginate should serve the result set with scroll', async t => {
+  let clock = 0
+  const mock = new Mock().use(Mock.paginate(resultSet(25), { now: () => clock }))
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  const pages = []
+  for await (const result of client.helpers.scrollSearch({ index: 'test', size: 10, query: { match_all: {} } })) {
+    t.deepEqual(result.body.hits.total, { value: 25, relation: 'eq' })
+    pages.push(result.documents.map(doc => doc.n))
+  }
+  t.deepEqual(pages.map(page => page.length), [10, 10, 5])
+  t.deepEqual(pages.flat(), Array.from({ length: 25 }, (_, i) => i + 1))
+
+  const first = await client.search({ index: 'test', scroll: '1m', size: 20 })
+  t.is(first.hits.hits[0]._id, '1')
+  const second = await client.scroll({ scroll_id: first._scroll_id, scroll: '1m' })
+  t.is(second._scroll_id, first._scroll_id)
+  t.deepEqual(second.hits.hits.map(hit => hit._id), ['21', '22', '23', '24', '25'])
+  t.deepEqual((await client.scroll({ scroll_id: first._scroll_id })).hits.hits, [])
+
+  const other = await client.search({ index: 'test', scroll: '1m' })
+  t.deepEqual(await client.clearScroll({ scroll_id: '_all' }), { succeeded: true, num_freed: 2 })
+  const missing = await t.throwsAsync(client.scroll({ scroll_id: other._scroll_id }), { instanceOf: errors.ResponseError })
+  t.is(missing.statusCode, 404)
+  t.is(missing.body.error.type, 'search_context_missing_exception')
+  t.is(missing.body.error.reason, `No search context found for id [${other._scroll_id}]`)
+  const notFreed = await t.throwsAsync(client.clearScroll({ scroll_id: other._scroll_id }), { instanceOf: errors.ResponseError })
+  t.is(notFreed.statusCode, 404)
+  t.deepEqual(notFreed.body, { succeeded: true, num_freed: 0 })
+
+  const expiring = await client.search({ index: 'test', scroll: '50ms' })
+  clock += 40
+  await client.scroll({ scroll_id: expiring._scroll_id, scroll: '300ms' })
+  clock += 100
+  t.is((await client.scroll({ scroll_id: expiring._scroll_id })).hits.hits.length, 5)
+  clock += 200
+  await t.throwsAsync(client.scroll({ scroll_id: expiring._scroll_id }), { message: /^search_context_missing_exception/ })
+})
+
+test('Mock.paginate should serve the result set with search_after and a point in time', async t => {
+  const hits = resultSet(5).map(hit => ({ ...hit, sort: [hit._source.n > 2 ? 'b' : 'a', hit._source.n] }))
+  let clock = 0
+  const mock = new Mock().use(Mock.paginate(hits, { now: () => clock }))
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  const sort = [{ group: 'asc' }, { n: 'asc' }]
+  const first = await client.search({ index: 'test', size: 2, sort })
+  t.deepEqual(first.hits.hits.map(hit => hit.sort), [['a', 1], ['a', 2]])
+  const second = await client.search({ index: 'test', size: 2, sort, search_after: ['a', 2] })
+  t.deepEqual(second.hits.hits.map(hit => hit._id), ['3', '4'])
+  const between = await client.search({ index: 'test', size: 2, sort, search_after: ['a', 9] })
+  t.deepEqual(between.hits.hits.map(hit => hit._id), ['3', '4'])
+  const last = await client.search({ index: 'test', size: 2, sort, search_after: ['b', 5] })
+  t.deepEqual(last.hits.hits, [])
+  const from = await client.search({ index: 'test', from: 4 })
+  t.deepEqual(from.hits.hits.map(hit => hit._id), ['5'])
+
+  const { id } = await client.openPointInTime({ index: 'test', keep_alive: '1m' })
+  const ids = []
+  let searchAfter
+  while (true) {
+    const page = await client.search({ size: 2, pit: { id, keep_alive: '1m' }, sort, search_after: searchAfter })
+    t.is(page.pit_id, id)
+    if (page.hits.hits.length === 0) break
+    ids.push(...page.hits.hits.map(hit => hit._id))
+    searchAfter = page.hits.hits[page.hits.hits.length - 1].sort
+  }
+  t.deepEqual(ids, ['1', '2', '3', '4', '5'])
+  t.deepEqual(searchAfter, ['b', 5, 4])
+  t.deepEqual(await client.closePointInTime({ id }), { succeeded: true, num_freed: 1 })
+  const closed = await t.throwsAsync(client.search({ pit: { id } }), { instanceOf: errors.ResponseError })
+  t.is(closed.statusCode, 404)
+  t.is(closed.body.error.type, 'search_context_missing_exception')
+  await t.throwsAsync(client.closePointInTime({ id }), { instanceOf: errors.ResponseError })
+
+  const expiring = await client.openPointInTime({ index: 'test', keep_alive: '100ms' })
+  clock += 99
+  t.is((await client.search({ pit: { id: expiring.id } })).hits.hits[0].sort.length, 3)
+  clock += 1
+  await t.throwsAsync(client.search({ pit: { id: expiring.id } }), { message: /^search_context_missing_exception/ })
+
+  const empty = new Client({
+    node: 'http://localhost:9200',
+    Connection: new Mock().use(Mock.paginate([])).getConnection()
+  })
+  t.deepEqual((await empty.search({ search_after: [1], sort: ['n'] })).hits.hits, [])
+})
+
+test('Mock.paginate should reject invalid pagination requests', async t => {
+  const mock = new Mock().use(Mock.paginate(resultSet(3)))
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+  const { id } = await client.openPointInTime({ index: 'test', keep_alive: '1m' })
+  const unsorted = await client.search({ pit: { id }, search_after: [0] })
+  t.deepEqual(unsorted.hits.hits.map(hit => hit.sort), [[1], [2]])
+  const notFreed = await t.throwsAsync(client.clearScroll({ scroll_id: '_all' }), { instanceOf: errors.ResponseError })
+  t.deepEqual(notFreed.body, { succeeded: true, num_freed: 0 })
+
+  const cases = [
+    [client.search({ index: 'test', pit: { id } }), 'action_request_validation_exception', 'Validation Failed: 1: [indices] cannot be used with point in time. Do not specify any index with point in time.;'],
+    [client.search({ pit: { id }, from: 1, search_after: [1] }), 'illegal_argument_exception', '`from` parameter must be set to 0 when `search_after` is used.'],
+    [client.search({ search_after: [1] }), 'illegal_argument_exception', 'Cannot use [search_after] on hits without sort values'],
+    [client.search({ pit: { id }, search_after: [1, 2] }), 'illegal_argument_exception', 'search_after has 2 value(s) but sort has 1.'],
+    [client.search({ pit: { id }, search_after: 1 }), 'illegal_argument_exception', 'search_after has 1 value(s) but sort has 1.'],
+    [client.search({ index: 'test', scroll: '1x' }), 'illegal_argument_exception', 'failed to parse setting [scroll] with value [1x] as a time value: unit is missing or unrecognized'],
+    [client.search({ pit: { id, keep_alive: 'foo' } }), 'illegal_argument_exception', 'failed to parse setting [keep_alive] with value [foo] as a time value: unit is missing or unrecognized'],
+    [client.transport.request({ method: 'POST', path: '/_search/scroll' }), 'action_request_validation_exception', 'Validation Failed: 1: scrollId is missing;'],
+    [client.transport.request({ method: 'DELETE', path: '/_search/scroll' }), 'action_request_validation_exception', 'Validation Failed: 1: no scroll ids specified;'],
+    [client.transport.request({ method: 'POST', path: '/test/_pit' }), 'action_request_validation_exception', 'Validation Failed: 1: [keep_alive] is not specified;'],
+    [client.transport.request({ method: 'DELETE', path: '/_pit' }), 'action_request_validation_exception', 'Validation Failed: 1: id is missing;'],
+    [client.scroll({ scroll_id: id }), 'search_context_missing_exception', `No search context found for id [${id}]`]
+  ]
+  for (const [request, type, reason] of cases) {
+    const err = await t.throwsAsync(request, { instanceOf: errors.ResponseError })
+    t.is(err.body.error.type, type)
+    t.is(err.body.error.reason, reason)
+  }
+
+  for (const hits of [null, [null], ['foo']]) {
+    t.throws(() => Mock.paginate(hits), {
+      instanceOf: errors.ConfigurationError,
+      message: 'The hits must be an array of objects'
+    })
+  }
+  t.throws(() => Mock.paginate([], { now: 0 }), {
+    instanceOf: errors.ConfigurationError,
+    message: 'The now option must be a function'
+  })
+})
+
+test('The memory store should create, inspect and delete indices', async t => {
+  const mock = new Mock().use(Mock.memoryStore())
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  t.false(await client.indices.exists({ index: 'test' }))
+  t.deepEqual(await client.indices.create({
+    index: 'test',
+    settings: { number_of_shards: 1, index: { refresh_interval: '1s' }, 'index.analysis.analyzer.default.type': 'simple' },
+    mappings: { properties: { title: { type: 'text' }, user: { properties: { name: { type: 'keyword' } } } } }
+  }), { acknowledged: true, shards_acknowledged: true, index: 'test' })
+  t.true(await client.indices.exists({ index: 'test' }))
+  t.true(await client.indices.exists({ index: 'te*' }))
+  t.false(await client.indices.exists({ index: 'test,other' }))
+  t.false(await client.indices.exists({ index: 'other*' }))
+
+  const exists = await t.throwsAsync(client.indices.create({ index: 'test' }), { instanceOf: errors.ResponseError })
+  t.is(exists.statusCode, 400)
+  t.is(exists.body.error.type, 'resource_already_exists_exception')
+  const info = await client.indices.get({ index: 'test' })
+  t.is(exists.body.error.reason, `index [test/${info.test.settings.index.uuid}] already exists`)
+  t.deepEqual(info.test.aliases, {})
+  t.deepEqual(info.test.mappings, { properties: { title: { type: 'text' }, user: { properties: { name: { type: 'keyword' } } } } })
+  t.like(info.test.settings.index, {
+    number_of_shards: '1',
+    number_of_replicas: '1',
+    refresh_interval: '1s',
+    analysis: { analyzer: { default: { type: 'simple' } } },
+    provided_name: 'test'
+  })
+
+  await client.indices.putMapping({ index: 'test', properties: { user: { properties: { age: { type: 'integer' } } }, tags: { type: 'keyword' } } })
+  const mapping = await client.indices.getMapping({ index: 'test' })
+  t.deepEqual(mapping.test.mappings.properties.user, { properties: { name: { type: 'keyword' }, age: { type: 'integer' } } })
+  t.deepEqual(mapping.test.mappings.properties.tags, { type: 'keyword' })
+  const conflict = await t.throwsAsync(client.indices.putMapping({ index: 'test', properties: { tags: { type: 'long' }, other: { type: 'long' } } }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(conflict.body.error.reason, 'mapper [tags] cannot be changed from type [keyword] to [long]')
+  const nested = await t.throwsAsync(client.indices.putMapping({ index: 'test', properties: { user: { type: 'keyword' } } }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(nested.body.error.reason, 'mapper [user] cannot be changed from type [object] to [keyword]')
+  t.is((await client.indices.getMapping({ index: 'test' })).test.mappings.properties.other, undefined)
+  t.deepEqual(await client.transport.request({ method: 'PUT', path: '/test/_mapping' }), { acknowledged: true })
+  await client.indices.putMapping({ index: 'test', dynamic: 'strict' })
+  t.is((await client.indices.getMapping()).test.mappings.dynamic, 'strict')
+
+  await client.indices.putSettings({ index: 'test', settings: { number_of_replicas: 2, refresh_interval: null, 'index.max_result_window': 500 } })
+  await client.indices.putSettings({ settings: { index: { number_of_replicas: null } } })
+  await client.transport.request({ method: 'PUT', path: '/test/_settings', body: { settings: { 'index.query.default_field': ['title', 'tags'] } } })
+  t.deepEqual(await client.transport.request({ method: 'PUT', path: '/test/_settings' }), { acknowledged: true })
+  const settings = await client.indices.getSettings({ index: 'test', flat_settings: true })
+  t.is(settings.test.settings['index.number_of_replicas'], '1')
+  t.is(settings.test.settings['index.refresh_interval'], undefined)
+  t.is(settings.test.settings['index.max_result_window'], '500')
+  t.deepEqual(settings.test.settings['index.query.default_field'], ['title', 'tags'])
+  t.is((await client.indices.getSettings()).test.settings.index.max_result_window, '500')
+  const staticSetting = await t.throwsAsync(client.indices.putSettings({ index: 'test', settings: { number_of_shards: 2 } }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(staticSetting.body.error.reason, `Can't update non dynamic settings [[index.number_of_shards]] for open indices [[test/${info.test.settings.index.uuid}]]`)
+  const finalSetting = await t.throwsAsync(client.indices.putSettings({ index: 'test', settings: { 'index.uuid': 'foo' } }), {
+    instanceOf: errors.ResponseError
+  })
+  t.is(finalSetting.body.error.reason, 'final index setting [index.uuid], not updateable')
+
+  await client.index({ index: 'auto', id: '1', document: { title: 'foo' } })
+  t.deepEqual(await client.indices.refresh(), { _shards: { total: 4, successful: 2, failed: 0 } })
+  t.deepEqual(await client.indices.refresh({ index: 'auto,missing', ignore_unavailable: true }), { _shards: { total: 2, successful: 1, failed: 0 } })
+  t.deepEqual((await client.indices.get({ index: 'auto' })).auto.mappings, {})
+
+  for (const [index, type, reason] of [
+    ['Test', 'invalid_index_name_exception', 'Invalid index name [Test], must be lowercase'],
+    ['-test', 'invalid_index_name_exception', 'Invalid index name [-test], must not start with \'_\', \'-\', or \'+\'']
+  ]) {
+    const err = await t.throwsAsync(client.indices.create({ index }), { instanceOf: errors.ResponseError })
+    t.is(err.body.error.type, type)
+    t.is(err.body.error.reason, reason)
+  }
+
+  for (const index of ['te*', 'test,_all']) {
+    const wildcard = await t.throwsAsync(client.indices.delete({ index }), { instanceOf: errors.ResponseError })
+    t.is(wildcard.body.error.reason, 'Wildcard expressions or all indices are not allowed')
+  }
+  const missing = await t.throwsAsync(client.indices.delete({ index: 'test,missing' }), { instanceOf: errors.ResponseError })
+  t.is(missing.statusCode, 404)
+  t.is(missing.body.error.type, 'index_not_found_exception')
+  t.true(await client.indices.exists({ index: 'test' }))
+  t.deepEqual(await client.indices.delete({ index: 'test,missing', ignore_unavailable: true }), { acknowledged: true })
+  t.false(await client.indices.exists({ index: 'test' }))
+  await t.throwsAsync(client.indices.getMapping({ index: 'test' }), { message: /^index_not_found_exception/ })
+  await t.throwsAsync(client.search({ index: 'test' }), { message: /^index_not_found_exception/ })
+})
+
+test('The memory store should manage the aliases', async t => {
+  const store = Mock.memoryStore()
+  const mock = new Mock().use(store)
+  const client = new Client({
+    node: 'http://localhost:9200',
+    Connection: mock.getConnection()
+  })
+
+  await client.indices.create({ index: 'logs-1', aliases: { logs: { is_write_index: true } } })
+  await client.indices.create({ index: 'logs-2' })
+  await client.indices.putAlias({ index: 'logs-2', name: 'logs', routing: '1' })
+  t.deepEqual(await client.indices.getAlias({ name: 'logs' }), {
+    'logs-1': { aliases: { logs: { is_write_index: true } } },
+    'logs-2': { aliases: { logs: { index_routing: '1', search_routing: '1' } } }
+  })
+  t.deepEqual(await client.indices.getAlias({ index: 'logs-2' }), { 'logs-2': { aliases: { logs: { index_routing: '1', search_routing: '1' } } } })
+  t.deepEqual(Object.keys(await client.indices.getAlias()), ['logs-1', 'logs-2'])
+  t.deepEqual(Object.keys(await client.indices.getAlias({ name: '_all' })), ['logs-1', 'logs-2'])
+  t.true(await client.indices.existsAlias({ name: 'logs' }))
+  t.deepEqual((await client.indices.get({ index: 'logs-1' }))['logs-1'].aliases, { logs: { is_write_index: true } })
+  t.false(await client.indices.existsAlias({ index: 'logs-2', name: 'other' }))
+
+  // the writes go to the write index, the searches to every index
+  await client.index({ index: 'logs', id: '1', document: { message: 'foo' } })
+  t.deepEqual(store.documents('logs-1'), [{ _id: '1', _source: { message: 'foo' } }])
+  t.is((await client.get({ index: 'logs', id: '1' }))._index, 'logs-1')
+  await client.index({ index: 'logs-2', id: '2', document: { message: 'bar' } })
+  const search = await client.search({ index: 'logs' })
+  t.deepEqual(search.hits.hits.map(hit => hit._index), ['logs-1', 'logs-2'])
+  t.is((await client.search({ index: 'log*' })).hits.hits.length, 2)
+
+  // the alias swap of a reindex
+  await client.indices.create({ index: 'logs-3' })
+  t.deepEqual(await client.indices.updateAliases({
+    actions: [
+      { remove: { index: 'logs-*', alias: 'logs' } },
+      { add: { index: 'logs-3', alias: 'logs' } },
+      { remove_index: { index: 'logs-1' } }
+    ]
+  }), { acknowledged: true })
+  t.deepEqual(await client.indices.getAlias({ name: 'logs' }), { 'logs-3': { aliases: { logs: {} } } })
+  t.false(await client.indices.exists({ index: 'logs-1' }))
+  t.is((await client.index({ index: 'logs', document: { message: 'baz' } }))._index, 'logs-3')
+
+  // nothing changes if an action fails
+  const failed = await t.throwsAsync(client.indices.updateAliases({
+    actions: [
+      { add: { indices: ['logs-2'], aliases: ['old'] } },
+      { remove: { index: 'logs-2', alias: 'missing' } }
+    ]
+  }), { instanceOf: errors.ResponseError })
+  t.is(failed.statusCode, 404)
+  t.is(failed.body.error.type, 'aliases_not_found_exception')
+  t.is(failed.body.error.reason, 'aliases [missing] missing')
+  t.false(await client.indices.existsAlias({ name: 'old' }))
+  await client.indices.updateAliases({ actions: [{ remove: { index: 'logs-2', alias: 'missing', must_exist: false } }] })
+
+  const missingAlias = await t.throwsAsync(client.indices.getAlias({ name: 'missing' }), { instanceOf: errors.ResponseError })
+  t.is(missingAlias.statusCode, 404)
+  t.deepEqual(missingAlias.body, { error: 'alias [missing] missing', status: 404 })
+
+  await client.indices.putAlias({ index: 'logs-2', name: 'all' })
+  await client.indices.putAlias({ index: 'logs-3', name: 'all' })
+  t.true(await client.indices.exists({ index: 'al*' }))
+  const noWriteIndex = await t.throwsAsync(client.index({ index: 'all', document: {} }), { instanceOf: errors.ResponseError })
+  t.regex(noWriteIndex.body.error.reason, /^no write index is defined for alias \[all\]/)
+  const moreThanOne = await t.throwsAsync(client.get({ index: 'all', id: '1' }), { instanceOf: errors.ResponseError })
+  t.is(moreThanOne.body.error.reason, 'alias [all] has more than one index associated with it [logs-2, logs-3], can\'t execute a single index op')
+  await client.indices.putAlias({ index: 'logs-3', name: 'readonly', is_write_index: false })
+  const readOnly = await t.throwsAsync(client.index({ index: 'readonly', document: {} }), { instanceOf: errors.ResponseError })
+  t.regex(readOnly.body.error.reason, /^no write index is defined for alias \[readonly\]/)
+  const aliasDelete = await t.throwsAsync(client.indices.delete({ index: 'all' }), { instanceOf: errors.ResponseError })
+  t.is(aliasDelete.body.error.reason, 'The provided expression [all] matches an alias, specify the corresponding concrete indices instead.')
+  const aliasName = await t.throwsAsync(client.indices.create({ index: 'all' }), { instanceOf: errors.ResponseError })
+  t.is(aliasName.body.error.reason, 'Invalid index name [all], already exists as alias')
+  const indexName = await t.throwsAsync(client.indices.putAlias({ index: 'logs-2', name: 'logs-3' }), { instanceOf: errors.ResponseError })
+  t.is(indexName.body.error.type, 'invalid_alias_name_exception')
+
+  t.deepEqual(await client.indices.deleteAlias({ index: 'logs-*', name: 'a*' }), { acknowledged: true })
+  t.false(await client.indices.existsAlias({ name: 'all' }))
+  await client.indices.deleteAlias({ index: '_all', name: '_all' })
+  t.deepEqual(await client.indices.getAlias(), { 'logs-2': { aliases: {} }, 'logs-3': { aliases: {} } })
+  const notFound = await t.throwsAsync(client.indices.deleteAlias({ index: 'logs-2', name: 'logs' }), { instanceOf: errors.ResponseError })
+  t.is(notFound.statusCode, 404)
+
+  for (const [body, reason] of [
+    [undefined, 'Validation Failed: 1: Must specify at least one alias action;'],
+    [{ actions: [] }, 'Validation Failed: 1: Must specify at least one alias action;'],
+    [{ actions: [{ foo: {} }] }, '[aliases] unknown field [foo]'],
+    [{ actions: [{ remove_index: null }] }, '[remove_index] requires an [index] or [indices]']
+  ]) {
+    const err = await t.throwsAsync(client.transport.request({ method: 'POST', path: '/_aliases', body }), { instanceOf: errors.ResponseError })
+    t.is(err.body.error.reason, reason)
   }
 })